@@ -0,0 +1,39 @@
+/**
+ * findPeaks() timing on long noisy envelopes (opt-in: npm run bench).
+ * Wall-clock numbers depend on the machine, so this only reports them.
+ */
+
+import { findPeaks } from '../src/signal-processing.js';
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Smoothed noise on a slow rising trend: a local maximum every few samples,
+ * and every base search runs as far as the data allows
+ */
+function noisyEnvelope(length) {
+  const data = new Float32Array(length);
+  let seed = 1;
+  for (let i = 0; i < length; i++) {
+    seed = (seed * 1103515245 + 12345) >>> 0;
+    data[i] = seed / 4294967296;
+  }
+  for (let i = 1; i < length; i++) data[i] = 0.3 * data[i] + 0.7 * data[i - 1];
+  for (let i = 0; i < length; i++) data[i] += (i / length) * 0.01;
+  return data;
+}
+
+const cases = [
+  ['distance + prominence (wlen)', { distance: 1, prominence: 0.05, wlen: 4411 }],
+  ['prominence, every maximum', { prominence: 0 }],
+];
+
+for (const seconds of [30, 120, 600]) {
+  const data = noisyEnvelope(SAMPLE_RATE * seconds);
+  for (const [name, options] of cases) {
+    const start = performance.now();
+    const { peaks } = findPeaks(data, options);
+    const ms = performance.now() - start;
+    console.log(`${String(seconds).padStart(4)} s  ${name.padEnd(30)} ${String(peaks.length).padStart(8)} peaks  ${ms.toFixed(0).padStart(6)} ms`);
+  }
+}
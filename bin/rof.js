@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+/**
+ * F3DS ROF Tool — Command-Line Interface
+ * Batch rate-of-fire analysis of WAV recordings, without the browser or FFmpeg
+ *
+ * Usage: rof [options] <file.wav|directory> [...]
+ */
+
+import { readFileSync, readdirSync, statSync, writeFileSync } from 'fs';
+import { basename, extname, join } from 'path';
+import { parseArgs } from 'util';
+import {
+  RateOfFireDetector, CHANNEL_MODES, DETECTION_MODES, ENVELOPE_METHODS, FILTER_TYPES, THRESHOLD_MODES, TIMING_MODES
+} from '../src/rof-detector.js';
+import { decodeWav } from '../src/wav-decoder.js';
+import { toCSV } from '../src/csv.js';
+import { SUMMARY_COLUMNS } from '../src/comparison.js';
+
+// ── Detector Parameter Flags ───────────────────────────────────
+const parseChoice = (choices) => (value) => {
+  if (!choices.includes(value)) {
+    throw new Error(`expected one of ${choices.join(', ')}, got "${value}"`);
+  }
+  return value;
+};
+
+const parseBoolean = (value) => {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  throw new Error(`expected true or false, got "${value}"`);
+};
+
+// Every RateOfFireDetector option is exposed as a flag; defaults come from the detector.
+const PARAMETER_FLAGS = [
+  { flag: 'detection-mode', key: 'detectionMode', parse: parseChoice(DETECTION_MODES), help: `Detection function: ${DETECTION_MODES.join('|')}` },
+  { flag: 'threshold-mode', key: 'thresholdMode', parse: parseChoice(THRESHOLD_MODES), help: `Peak threshold: ${THRESHOLD_MODES.join('|')}` },
+  { flag: 'peak-threshold', key: 'peakThresholdStd', parse: parseFloat, help: 'Standard deviations (or MADs) above mean (or median) level' },
+  { flag: 'threshold-window', key: 'thresholdWindow', parse: parseFloat, help: 'Rolling threshold window (s)' },
+  { flag: 'threshold-percentile', key: 'thresholdPercentile', parse: parseFloat, help: 'Envelope percentile for percentile mode' },
+  { flag: 'min-shot-spacing', key: 'minShotSpacing', parse: parseFloat, help: 'Minimum time between shots (s)' },
+  { flag: 'timing', key: 'timingMode', parse: parseChoice(TIMING_MODES), help: `Shot time within a peak: ${TIMING_MODES.join('|')}` },
+  { flag: 'burst-gap', key: 'burstGapThreshold', parse: parseFloat, help: 'Max gap allowed within a single burst (s)' },
+  { flag: 'window-size', key: 'windowSize', parse: parseFloat, help: 'Envelope smoothing window (s)' },
+  { flag: 'filter', key: 'filterType', parse: parseChoice(FILTER_TYPES), help: `Pre-filter: ${FILTER_TYPES.join('|')}` },
+  { flag: 'filter-frequency', key: 'filterFrequency', parse: parseFloat, help: 'Filter cutoff/center frequency (Hz)' },
+  { flag: 'filter-q', key: 'filterQ', parse: parseFloat, help: 'Filter Q (bandwidth of band-pass/notch)' },
+  { flag: 'envelope', key: 'envelopeMethod', parse: parseChoice(ENVELOPE_METHODS), help: `Envelope shape: ${ENVELOPE_METHODS.join('|')}` },
+  { flag: 'min-prominence', key: 'minPeakProminence', parse: parseFloat, help: 'Relative height required for a peak' },
+  { flag: 'min-burst-count', key: 'minBurstCount', parse: (v) => parseInt(v, 10), help: 'Minimum shots required to count as a burst' },
+  { flag: 'rate-mismatch', key: 'rateMismatchPercent', parse: parseFloat, help: 'Warn when count and cycle RPM differ by more than this (%)' },
+  { flag: 'channel-mode', key: 'channelMode', parse: parseChoice(CHANNEL_MODES), help: `Channel analyzed: ${CHANNEL_MODES.join('|')}` },
+  { flag: 'channel', key: 'channel', parse: (v) => parseInt(v, 10), help: 'Channel number for --channel-mode single (1-based)' },
+  { flag: 'region-start', key: 'regionStart', parse: parseFloat, help: 'Ignore audio before this time (s)' },
+  { flag: 'region-end', key: 'regionEnd', parse: parseFloat, help: 'Ignore audio after this time (s, 0 = end of file)' },
+  { flag: 'compare-channels', key: 'compareChannels', parse: parseBoolean, help: 'Also detect shots on every channel (JSON output)' },
+];
+
+function printHelp() {
+  const defaults = new RateOfFireDetector().getParameters();
+  const lines = [
+    'Usage: rof [options] <file.wav|directory> [...]',
+    '',
+    'Analyze rate of fire in WAV recordings (16/24/32-bit PCM or float).',
+    'Directories are scanned for .wav files.',
+    '',
+    'Detector parameters:',
+    ...PARAMETER_FLAGS.map(p => `  --${p.flag.padEnd(20)} ${p.help} (default: ${defaults[p.key]})`),
+    '',
+    'Output:',
+    `  ${'--json <file>'.padEnd(22)} Write full results for every file as JSON`,
+    `  ${'--csv <file>'.padEnd(22)} Write the per-file summary table as CSV`,
+    `  ${'-r, --recursive'.padEnd(22)} Include subdirectories when scanning directories`,
+    `  ${'-v, --verbose'.padEnd(22)} Print detector progress logs`,
+    `  ${'-h, --help'.padEnd(22)} Show this help`,
+  ];
+  process.stdout.write(lines.join('\n') + '\n');
+}
+
+function parseCommandLine(argv) {
+  const options = {
+    json: { type: 'string' },
+    csv: { type: 'string' },
+    recursive: { type: 'boolean', short: 'r' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' },
+  };
+  for (const p of PARAMETER_FLAGS) {
+    options[p.flag] = { type: 'string' };
+  }
+
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+
+  const params = {};
+  for (const p of PARAMETER_FLAGS) {
+    if (values[p.flag] === undefined) continue;
+    let parsed;
+    try {
+      parsed = p.parse(values[p.flag]);
+    } catch (err) {
+      throw new Error(`--${p.flag} ${err.message}`);
+    }
+    if (Number.isNaN(parsed)) {
+      throw new Error(`--${p.flag} expects a number, got "${values[p.flag]}"`);
+    }
+    params[p.key] = parsed;
+  }
+
+  return { values, positionals, params };
+}
+
+/**
+ * Expand directories into the .wav files they contain (sorted, optionally recursive)
+ */
+function collectInputFiles(paths, recursive) {
+  const files = [];
+
+  const scanDir = (dir) => {
+    const entries = readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const fullPath = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive) scanDir(fullPath);
+      } else if (extname(entry.name).toLowerCase() === '.wav') {
+        files.push(fullPath);
+      }
+    }
+  };
+
+  for (const path of paths) {
+    if (statSync(path).isDirectory()) scanDir(path);
+    else files.push(path);
+  }
+
+  return files;
+}
+
+function analyzeFile(path, params) {
+  const wav = decodeWav(readFileSync(path));
+  const detector = new RateOfFireDetector(params);
+  return detector.analyzeSamples(wav.channelData, wav.sampleRate, {
+    inputFile: basename(path),
+  });
+}
+
+function formatTable(headers, rows) {
+  const widths = headers.map((h, col) => Math.max(h.length, ...rows.map(row => String(row[col]).length)));
+  const formatRow = (row) => row.map((cell, col) => {
+    // Left-align the file name, right-align the numbers
+    return col === 0 ? String(cell).padEnd(widths[col]) : String(cell).padStart(widths[col]);
+  }).join('  ');
+
+  return [
+    formatRow(headers),
+    widths.map(w => '-'.repeat(w)).join('  '),
+    ...rows.map(formatRow),
+  ].join('\n');
+}
+
+function main() {
+  let cli;
+  try {
+    cli = parseCommandLine(process.argv.slice(2));
+  } catch (err) {
+    process.stderr.write(`rof: ${err.message}\n`);
+    return 2;
+  }
+
+  const { values, positionals, params } = cli;
+  if (values.help || positionals.length === 0) {
+    printHelp();
+    return values.help ? 0 : 2;
+  }
+
+  // The detector logs every stage to console.log; keep stdout clean for the table
+  if (!values.verbose) console.log = () => { };
+
+  let files;
+  try {
+    files = collectInputFiles(positionals, values.recursive);
+  } catch (err) {
+    process.stderr.write(`rof: ${err.message}\n`);
+    return 2;
+  }
+
+  if (files.length === 0) {
+    process.stderr.write('rof: no .wav files found\n');
+    return 1;
+  }
+
+  const results = [];
+  const failures = [];
+  for (const file of files) {
+    try {
+      const result = analyzeFile(file, params);
+      results.push(result);
+      for (const burst of result.bursts.filter(b => b.rateMismatchWarning)) {
+        process.stderr.write(`rof: ${file}: burst ${burst.burstNumber} RPM ${burst.rateRpm.toFixed(1)} ` +
+          `differs from cycle RPM ${burst.acfRateRpm.toFixed(1)} by ${burst.rateMismatch.toFixed(1)}%\n`);
+      }
+    } catch (err) {
+      failures.push({ inputFile: basename(file), error: err.message });
+      process.stderr.write(`rof: ${file}: ${err.message}\n`);
+    }
+  }
+
+  const headers = SUMMARY_COLUMNS.map(c => c.header);
+  const rows = results.map(r => SUMMARY_COLUMNS.map(c => c.value(r)));
+
+  if (rows.length > 0) {
+    process.stdout.write(formatTable(headers, rows) + '\n');
+  }
+
+  if (values.json) {
+    writeFileSync(values.json, JSON.stringify({ results, failures }, null, 2));
+  }
+  if (values.csv) {
+    writeFileSync(values.csv, toCSV(headers, rows));
+  }
+
+  return failures.length > 0 ? 1 : 0;
+}
+
+// Set the exit code instead of calling process.exit() so piped stdout is flushed
+process.exitCode = main();
@@ -0,0 +1,159 @@
+/**
+ * Analysis Worker Client
+ * Promise-based wrapper around analysis-worker.js with progress and cancellation
+ */
+
+export class AnalysisWorkerClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.workerURL - Explicit URL of the built worker (WordPress
+   *   serves it from the plugin folder); defaults to the bundler-resolved module
+   */
+  constructor({ workerURL = null } = {}) {
+    this.workerURL = workerURL;
+    this.worker = null;
+    // Samples the worker currently holds, so re-analysis doesn't copy them again
+    this.loadedAudio = null;
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Lazily start the worker (again, after a cancel terminated it)
+   */
+  ensureWorker() {
+    if (this.worker) return this.worker;
+
+    this.worker = this.workerURL
+      ? new Worker(this.workerURL, { type: 'module' })
+      : new Worker(new URL('./analysis-worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.rejectAll(new Error(event.message || 'Analysis worker failed'));
+      this.terminate();
+    };
+    return this.worker;
+  }
+
+  handleMessage({ id, type, message, percent, result }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    if (type === 'progress') {
+      if (request.onProgress) request.onProgress(message, percent);
+      return;
+    }
+
+    this.pending.delete(id);
+    if (type === 'result') request.resolve(result);
+    else request.reject(new Error(message));
+  }
+
+  request(type, payload, { transfer = [], onProgress = null } = {}) {
+    const worker = this.ensureWorker();
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { type, resolve, reject, onProgress });
+      worker.postMessage({ id, type, payload }, transfer);
+    });
+  }
+
+  /**
+   * Run the full detection pipeline on decoded samples.
+   * Any analysis already in flight is cancelled first. Passing the same
+   * audioData again reuses the worker's copy and its memoized stages.
+   * @param {Float32Array|Array<Float32Array>} audioData - Mono samples or one array
+   *   per channel (copied, the caller keeps its buffers)
+   * @param {number} sampleRate
+   * @param {Object} params - RateOfFireDetector options
+   * @param {Object} options - {inputFile, audioOffset (source-file time of the first
+   *   sample, when only a region was decoded), onProgress(message, percent)}
+   * @returns {Promise<Object>} {results, shotTimes, burstIndices}
+   */
+  analyze(audioData, sampleRate, params, { inputFile = null, audioOffset = 0, onProgress = null } = {}) {
+    if (this.isBusy('analyze')) this.cancel();
+    return this.requestWithAudio('analyze', audioData, { sampleRate, audioOffset, params, inputFile }, onProgress);
+  }
+
+  /**
+   * Sweep sensitivity parameters on the decoded samples (see auto-tune.js)
+   * @returns {Promise<Object>} {params, confidence, score, cv, totalShots, totalBursts, candidatesTried}
+   */
+  autoTune(audioData, sampleRate, params, { audioOffset = 0, onProgress = null } = {}) {
+    return this.requestWithAudio('autoTune', audioData, { sampleRate, audioOffset, params }, onProgress);
+  }
+
+  /**
+   * Spectrogram of the channel params select (see pooledSpectrogram in signal-processing.js)
+   * @returns {Promise<Object>} {db, binCount, columnCount, centers, maxDb, frameSize, sampleRate}
+   */
+  spectrogram(audioData, sampleRate, params, { audioOffset = 0 } = {}) {
+    return this.requestWithAudio('spectrogram', audioData, { sampleRate, audioOffset, params }, null);
+  }
+
+  /**
+   * Send a request that needs the samples, transferring a copy only when the
+   * worker doesn't already hold this audioData
+   */
+  requestWithAudio(type, audioData, payload, onProgress) {
+    if (this.worker && this.loadedAudio === audioData) {
+      return this.request(type, payload, { onProgress });
+    }
+
+    const samples = Array.isArray(audioData) ? audioData.map(c => c.slice()) : audioData.slice();
+    this.loadedAudio = audioData;
+    return this.request(type, { ...payload, audioData: samples }, {
+      transfer: Array.isArray(samples) ? samples.map(c => c.buffer) : [samples.buffer],
+      onProgress,
+    }).catch((err) => {
+      // A failed load leaves the worker without usable audio
+      if (err.name !== 'AbortError') this.loadedAudio = null;
+      throw err;
+    });
+  }
+
+  /**
+   * Regroup bursts and recompute statistics for an edited shot list
+   * @param {Float32Array|Array<Float32Array>|null} audioData - The samples the shots came from, if any;
+   *   the worker's envelope is only used when it holds this same audio
+   * @returns {Promise<Object>} {results: {summary, bursts, peaks}, shotTimes, burstIndices}
+   */
+  regroup(shotTimes, sampleRate, params, audioData = null) {
+    const useEnvelope = Boolean(audioData) && this.worker !== null && this.loadedAudio === audioData;
+    return this.request('regroup', { shotTimes: Array.from(shotTimes), sampleRate, params, useEnvelope });
+  }
+
+  isBusy(type = null) {
+    for (const request of this.pending.values()) {
+      if (!type || request.type === type) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Abort everything in flight. The worker is terminated (the pipeline is
+   * synchronous, so it cannot be interrupted any other way) and restarted
+   * on the next request. Pending promises reject with an AbortError.
+   */
+  cancel() {
+    const err = new Error('Analysis cancelled');
+    err.name = 'AbortError';
+    this.rejectAll(err);
+    this.terminate();
+  }
+
+  rejectAll(err) {
+    for (const request of this.pending.values()) request.reject(err);
+    this.pending.clear();
+  }
+
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.loadedAudio = null;
+  }
+}
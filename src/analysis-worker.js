@@ -0,0 +1,123 @@
+/**
+ * Analysis Worker
+ * Runs the DSP pipeline (envelope, peak detection, statistics) off the main
+ * thread so the page and loading spinner stay responsive on long recordings
+ */
+
+import { RateOfFireDetector } from './rof-detector.js';
+import { autoTune as sweepParameters } from './auto-tune.js';
+import * as signal from './signal-processing.js';
+
+// Spectrogram: STFT frame length (samples) and most time columns sent back
+const SPECTROGRAM_FRAME_SIZE = 512;
+const SPECTROGRAM_MAX_COLUMNS = 1500;
+
+// Kept between requests so re-analysis of the same audio only re-runs the
+// stages whose parameters changed (see RateOfFireDetector stage memoization)
+let detector = null;
+
+/**
+ * Full analysis of decoded samples (mono, or one array per channel).
+ * audioData is omitted when re-analyzing the audio this worker already holds.
+ */
+function analyze({ audioData, sampleRate, audioOffset, params, inputFile }, postProgress) {
+  prepareDetector(audioData, sampleRate, audioOffset, params, postProgress);
+
+  const results = detector.runPipeline(inputFile, postProgress);
+
+  return {
+    results,
+    shotTimes: detector.shotTimes.slice(),
+    burstIndices: detector.bursts,
+  };
+}
+
+/**
+ * Sweep sensitivity parameters on the loaded audio and propose the best set.
+ * The sweep gets its own detector over the same samples, so the envelope and
+ * shots that later regroup requests read stay those of the user's settings.
+ */
+function autoTune({ audioData, sampleRate, audioOffset, params }, postProgress) {
+  prepareDetector(audioData, sampleRate, audioOffset, params, postProgress);
+
+  const sweepDetector = new RateOfFireDetector(params);
+  sweepDetector.loadAudio(detector.channelData, detector.sampleRate, null, detector.audioOffset);
+  return sweepParameters(sweepDetector, { onProgress: postProgress });
+}
+
+/**
+ * Spectrogram of the analyzed channel, max-pooled to a bounded column count
+ * so only the columns (not the full STFT) cross back to the page
+ */
+function spectrogram({ audioData, sampleRate, audioOffset, params }, postProgress) {
+  prepareDetector(audioData, sampleRate, audioOffset, params, postProgress);
+  detector.selectChannel();
+
+  return {
+    ...signal.pooledSpectrogram(detector.audioData, SPECTROGRAM_FRAME_SIZE, SPECTROGRAM_MAX_COLUMNS),
+    frameSize: SPECTROGRAM_FRAME_SIZE,
+    sampleRate: detector.sampleRate,
+  };
+}
+
+/**
+ * Load newly sent samples, or apply params to the audio already held.
+ * audioOffset is the source-file time of the first sample (region extraction).
+ */
+function prepareDetector(audioData, sampleRate, audioOffset, params, postProgress) {
+  if (audioData) {
+    detector = new RateOfFireDetector(params);
+    detector.loadAudio(audioData, sampleRate, postProgress, audioOffset);
+  } else if (detector && detector.channelData) {
+    detector.setParameters(params);
+  } else {
+    throw new Error('No audio loaded in analysis worker');
+  }
+}
+
+/**
+ * Regroup bursts and recompute statistics for an edited shot list.
+ * useEnvelope is set when the shots belong to the audio this worker holds,
+ * so the per-burst autocorrelation rate can be recomputed too.
+ */
+function regroup({ shotTimes, sampleRate, params, useEnvelope = false }) {
+  // Separate instance so edits never touch the memoized analysis state
+  const editDetector = new RateOfFireDetector(params);
+  editDetector.sampleRate = sampleRate;
+  editDetector.shotTimes = shotTimes.slice().sort((a, b) => a - b);
+  if (useEnvelope && detector && detector.envelope && detector.sampleRate === sampleRate) {
+    editDetector.envelope = detector.envelope;
+    editDetector.timeOffset = detector.timeOffset;
+  }
+
+  editDetector.groupIntoBursts();
+  const bursts = editDetector.calculateRates();
+  const summary = editDetector.generateSummary(bursts);
+
+  return {
+    results: {
+      summary,
+      bursts,
+      peaks: editDetector.shotTimes.map(t => Math.round(t * sampleRate)),
+    },
+    shotTimes: editDetector.shotTimes,
+    burstIndices: editDetector.bursts,
+  };
+}
+
+const handlers = { analyze, autoTune, spectrogram, regroup };
+
+self.onmessage = (event) => {
+  const { id, type, payload } = event.data;
+  const postProgress = (message, percent) => {
+    self.postMessage({ id, type: 'progress', message, percent });
+  };
+
+  try {
+    const handler = handlers[type];
+    if (!handler) throw new Error(`Unknown analysis request: ${type}`);
+    self.postMessage({ id, type: 'result', result: handler(payload, postProgress) });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  }
+};
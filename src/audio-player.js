@@ -0,0 +1,141 @@
+/**
+ * Audio Player
+ * Plays the detector's loaded audio through its AudioContext, reporting the
+ * playback position so the chart's playhead can follow along
+ */
+
+export class AudioPlayer {
+  /**
+   * @param {Function} onPosition - Callback(time, playing); time is in source-file
+   *   seconds, or null once playback has stopped
+   */
+  constructor(onPosition) {
+    this.onPosition = onPosition;
+    this.context = null;
+    this.buffer = null;
+    this.bufferSource = null;
+    this.source = null;
+    this.segment = null;
+    // Where a paused playback resumes
+    this.position = null;
+    this.frame = null;
+  }
+
+  get playing() {
+    return this.source !== null;
+  }
+
+  /**
+   * Play a segment of the detector's loaded audio
+   * @param {RateOfFireDetector} detector - Detector with audio loaded
+   * @param {Object} options
+   * @param {number} options.start - Segment start (source-file seconds)
+   * @param {number} options.end - Segment end (source-file seconds)
+   * @param {number} options.from - Where to begin within the segment (default: its start)
+   * @param {boolean} options.loop - Repeat the segment until paused
+   * @param {number} options.rate - Playback speed (1 = real time)
+   */
+  play(detector, { start, end, from = start, loop = false, rate = 1 }) {
+    this.halt();
+
+    const buffer = this.getBuffer(detector);
+    const offset = detector.audioOffset || 0;
+    start = Math.max(start, offset);
+    end = Math.min(end, offset + buffer.duration);
+    if (!(end > start)) return;
+    if (!(from >= start && from < end)) from = start;
+
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = rate;
+    source.connect(this.context.destination);
+    if (loop) {
+      source.loop = true;
+      source.loopStart = start - offset;
+      source.loopEnd = end - offset;
+      source.start(0, from - offset);
+    } else {
+      // The duration is in buffer time, so it holds at any playback rate
+      source.start(0, from - offset, end - from);
+    }
+    source.onended = () => {
+      if (this.source === source) this.stop();
+    };
+
+    // Autoplay policies start contexts suspended until a user gesture
+    this.context.resume();
+    this.source = source;
+    this.segment = { start, end, from, loop, rate, startedAt: this.context.currentTime };
+    this.tick();
+  }
+
+  /**
+   * Current position in source-file seconds (the paused position when not playing)
+   */
+  currentTime() {
+    if (!this.source) return this.position;
+
+    const { start, end, from, loop, rate, startedAt } = this.segment;
+    const played = (this.context.currentTime - startedAt) * rate;
+    if (loop) return start + ((from - start + played) % (end - start));
+    return Math.min(from + played, end);
+  }
+
+  pause() {
+    if (!this.source) return;
+    this.position = this.currentTime();
+    this.halt();
+    this.onPosition(this.position, false);
+  }
+
+  stop() {
+    this.halt();
+    this.position = null;
+    this.onPosition(null, false);
+  }
+
+  /**
+   * Stop the sound and the position updates, keeping the paused position
+   */
+  halt() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    if (!this.source) return;
+
+    const source = this.source;
+    this.source = null;
+    source.onended = null;
+    try {
+      source.stop();
+      source.disconnect();
+    } catch (e) {
+      // Already stopped, or the context was closed with its detector
+    }
+  }
+
+  tick() {
+    this.onPosition(this.currentTime(), true);
+    this.frame = requestAnimationFrame(() => this.tick());
+  }
+
+  /**
+   * AudioBuffer of every loaded channel, rebuilt only when the audio changes
+   */
+  getBuffer(detector) {
+    const context = detector.getAudioContext();
+    if (this.buffer && this.context === context && this.bufferSource === detector.channelData) {
+      return this.buffer;
+    }
+
+    const channels = detector.channelData;
+    const buffer = context.createBuffer(channels.length, channels[0].length, detector.sampleRate);
+    channels.forEach((samples, c) => buffer.copyToChannel(samples, c));
+
+    this.context = context;
+    this.buffer = buffer;
+    this.bufferSource = channels;
+    return buffer;
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Parameter Auto-Tune
+ * Sweeps the detector's sensitivity parameters on loaded audio and proposes
+ * the settings whose detected shot intervals are most self-consistent
+ */
+
+// Candidate values; every combination is tried
+const WINDOW_SIZES = [0.001, 0.002, 0.004];
+const THRESHOLD_STDS = [0.5, 0.8, 1.2, 1.6, 2.0, 2.5, 3.0];
+const THRESHOLD_PERCENTILES = [80, 90, 95, 98, 99];
+const PROMINENCES = [0.02, 0.05, 0.1, 0.2];
+
+// Interval coefficient of variation at which consistency scores 0.5
+// (a steady automatic is typically 0.02–0.05)
+const CV_SCALE = 0.1;
+
+// Candidates within this fraction of the best rank count as "near the top"
+// when measuring agreement for the confidence score
+const NEAR_BEST = 0.9;
+
+/**
+ * Score one detection result (0–1): interval consistency inside bursts,
+ * times the share of detected shots that belong to a burst. Missed shots
+ * (doubled intervals) and double triggers (halved intervals) both raise the
+ * interval spread; stray detections lower the burst coverage.
+ * @param {Array<Object>} bursts - From RateOfFireDetector.calculateRates()
+ * @param {number} totalShots - All detected shots, in bursts or not
+ */
+export function scoreDetection(bursts, totalShots) {
+  let intervalCount = 0;
+  let weightedCV = 0;
+  let shotsInBursts = 0;
+
+  for (const burst of bursts) {
+    const intervals = burst.numShots - 1;
+    if (intervals < 1 || !(burst.meanInterval > 0)) continue;
+    weightedCV += intervals * (burst.stdInterval / burst.meanInterval);
+    intervalCount += intervals;
+    shotsInBursts += burst.numShots;
+  }
+
+  if (intervalCount === 0 || totalShots === 0) {
+    return { score: 0, cv: null, coverage: 0, shotsInBursts: 0 };
+  }
+
+  const cv = weightedCV / intervalCount;
+  const consistency = 1 / (1 + (cv / CV_SCALE) ** 2);
+  const coverage = shotsInBursts / totalShots;
+
+  return { score: consistency * coverage, cv, coverage, shotsInBursts };
+}
+
+/**
+ * Sweep windowSize, peak threshold and prominence on the detector's loaded
+ * audio. Other parameters (detection mode, filter, burst settings) are kept.
+ * The detector is left with its original parameters.
+ * @param {RateOfFireDetector} detector - Detector with audio loaded
+ * @param {Object} options
+ * @param {Function} options.onProgress - (message, percent)
+ * @returns {Object} {params, confidence (0–100), score, cv, totalShots, totalBursts, candidatesTried};
+ *   params is null when no setting found any burst
+ */
+export function autoTune(detector, { onProgress = null } = {}) {
+  if (!detector.channelData || !detector.sampleRate) {
+    throw new Error('Must load audio first');
+  }
+
+  const original = detector.getParameters();
+  const candidates = buildCandidates(original);
+  const evaluated = [];
+
+  try {
+    candidates.forEach((params, i) => {
+      if (onProgress) {
+        onProgress(`Trying setting ${i + 1} of ${candidates.length}...`, Math.round((i / candidates.length) * 100));
+      }
+
+      detector.setParameters(params);
+      detector.applyFilter();
+      detector.calculateEnvelope();
+      detector.detectPeaks();
+      detector.groupIntoBursts();
+      const bursts = detector.calculateRates();
+
+      evaluated.push({
+        params,
+        totalShots: detector.shotTimes.length,
+        totalBursts: bursts.length,
+        ...scoreDetection(bursts, detector.shotTimes.length),
+      });
+    });
+  } finally {
+    detector.setParameters(original);
+  }
+
+  // Among equally consistent settings prefer the one that keeps more shots,
+  // so a high threshold that only catches the loudest burst doesn't win
+  const mostShots = Math.max(...evaluated.map(c => c.shotsInBursts));
+  for (const candidate of evaluated) {
+    candidate.rank = mostShots > 0 ? candidate.score * Math.sqrt(candidate.shotsInBursts / mostShots) : 0;
+  }
+  const best = evaluated.reduce((a, b) => (b.rank > a.rank ? b : a));
+
+  if (onProgress) onProgress('Auto-tune complete', 100);
+
+  if (best.rank === 0) {
+    return { params: null, confidence: 0, score: 0, cv: null, totalShots: 0, totalBursts: 0, candidatesTried: evaluated.length };
+  }
+
+  // Confidence: how good the best setting is, and how many of the other
+  // top-ranked settings agree on the shot count (a lone spike is suspect)
+  const nearBest = evaluated.filter(c => c.rank >= best.rank * NEAR_BEST);
+  const agreeing = nearBest.filter(c => Math.abs(c.shotsInBursts - best.shotsInBursts) <= best.shotsInBursts * 0.05);
+  const confidence = Math.round(100 * best.score * (agreeing.length / nearBest.length));
+
+  return {
+    params: best.params,
+    confidence,
+    score: best.score,
+    cv: best.cv,
+    totalShots: best.totalShots,
+    totalBursts: best.totalBursts,
+    candidatesTried: evaluated.length,
+  };
+}
+
+/**
+ * Parameter combinations to try. The envelope window only matters in
+ * envelope mode, and percentile mode sweeps its percentile instead of k·σ.
+ */
+function buildCandidates(original) {
+  const windowSizes = original.detectionMode === 'envelope' ? WINDOW_SIZES : [original.windowSize];
+  const thresholds = original.thresholdMode === 'percentile'
+    ? THRESHOLD_PERCENTILES.map(p => ({ thresholdPercentile: p }))
+    : THRESHOLD_STDS.map(k => ({ peakThresholdStd: k }));
+
+  // Window outermost so the memoized envelope is reused across the inner loops
+  const candidates = [];
+  for (const windowSize of windowSizes) {
+    for (const threshold of thresholds) {
+      for (const minPeakProminence of PROMINENCES) {
+        candidates.push({ windowSize, ...threshold, minPeakProminence });
+      }
+    }
+  }
+  return candidates;
+}
@@ -0,0 +1,42 @@
+/**
+ * Recording Comparison
+ * Summary columns and per-recording interval data for comparing analyses of
+ * several recordings (A/B tests of buffers, springs, gas settings)
+ */
+
+import * as signal from './signal-processing.js';
+
+// Columns of the comparison table; each takes an analysis results object
+export const SUMMARY_COLUMNS = [
+  { header: 'File', value: (r) => r.inputFile },
+  { header: 'Shots', value: (r) => r.summary.totalShots },
+  { header: 'Bursts', value: (r) => r.summary.totalBursts },
+  { header: 'Avg RPM', value: (r) => r.summary.meanBurstRateRpm.toFixed(1) },
+  { header: 'Median RPM', value: (r) => r.summary.medianBurstRateRpm.toFixed(1) },
+  { header: 'Min RPM', value: (r) => r.summary.minBurstRateRpm.toFixed(1) },
+  { header: 'Max RPM', value: (r) => r.summary.maxBurstRateRpm.toFixed(1) },
+  { header: 'STD (ms)', value: (r) => ((r.summary.avgStdInterval ?? 0) * 1000).toFixed(2) },
+  { header: 'Mean Dev (ms)', value: (r) => ((r.summary.avgMeanDeviation ?? 0) * 1000).toFixed(2) },
+];
+
+/**
+ * Snapshot of one analysis for the comparison, detached from the live results
+ * so later edits or a new file don't change it
+ * @param {Object} results - Results object from RateOfFireDetector.analyze()
+ * @param {string} notes - Build notes identifying the configuration
+ * @returns {Object} {inputFile, notes, summary, intervalsMs, instantRpm}
+ */
+export function createComparisonEntry(results, notes = '') {
+  // Bursts excluded from the summary are left out here too
+  const intervals = results.bursts
+    .filter(burst => !burst.excluded)
+    .flatMap(burst => Array.from(signal.diff(burst.shotTimes)));
+
+  return {
+    inputFile: results.inputFile || 'Untitled',
+    notes,
+    summary: structuredClone(results.summary),
+    intervalsMs: intervals.map(interval => interval * 1000),
+    instantRpm: intervals.map(interval => 60 / interval),
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * CSV Helpers
+ * Spreadsheet-friendly (RFC 4180) serialization for exported tables
+ */
+
+/**
+ * Quote a single field if it contains a delimiter, quote or line break
+ */
+export function escapeCSVField(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  if (/[",\r\n]/.test(str)) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+/**
+ * Serialize a header row and data rows into CSV text
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Array>} rows - One array of values per row, in header order
+ * @returns {string}
+ */
+export function toCSV(headers, rows) {
+  const lines = [headers.map(escapeCSVField).join(',')];
+  for (const row of rows) {
+    lines.push(row.map(escapeCSVField).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Per-shot table: time, burst membership, interval to the previous shot, instantaneous RPM.
+ * Interval and RPM are left blank unless both shots are in the same burst.
+ * @param {Array<number>} shotTimes - All detected shot times (seconds, sorted)
+ * @param {Array<Object>} bursts - Burst results from RateOfFireDetector.calculateRates()
+ * @returns {Object} {headers, rows}
+ */
+export function buildShotTable(shotTimes, bursts) {
+  const burstByTime = new Map();
+  for (const burst of bursts) {
+    for (const t of burst.shotTimes) burstByTime.set(t, burst.burstNumber);
+  }
+
+  const headers = ['Shot', 'Time (s)', 'Burst', 'Interval (ms)', 'Instantaneous RPM'];
+  const rows = shotTimes.map((t, i) => {
+    const burst = burstByTime.get(t);
+    const sameBurst = i > 0 && burst !== undefined && burstByTime.get(shotTimes[i - 1]) === burst;
+    const interval = sameBurst ? t - shotTimes[i - 1] : null;
+    return [
+      i + 1,
+      t.toFixed(6),
+      burst ?? '',
+      interval !== null ? (interval * 1000).toFixed(3) : '',
+      interval > 0 ? (60 / interval).toFixed(1) : '',
+    ];
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Per-burst table with every statistic calculateRates() computes
+ * @param {Array<Object>} bursts - Burst results from RateOfFireDetector.calculateRates()
+ * @returns {Object} {headers, rows}
+ */
+export function buildBurstTable(bursts) {
+  const ms = (seconds) => (seconds * 1000).toFixed(3);
+
+  const headers = [
+    'Burst', 'Start (s)', 'End (s)', 'Duration (s)', 'Shots', 'RPM', 'Cycle RPM', 'RPM Mismatch (%)',
+    'Mean Interval (ms)', 'STD Interval (ms)', 'Min Interval (ms)', 'Max Interval (ms)',
+    'Mean Deviation (ms)', 'Median Deviation (ms)', 'Suspected Missed Shots', 'Suspected Double Triggers',
+    'Label', 'Excluded',
+  ];
+  const rows = bursts.map(b => [
+    b.burstNumber,
+    b.startTime.toFixed(6),
+    b.endTime.toFixed(6),
+    b.duration.toFixed(6),
+    b.numShots,
+    b.rateRpm.toFixed(1),
+    b.acfRateRpm ? b.acfRateRpm.toFixed(1) : '',
+    b.rateMismatch !== null && b.rateMismatch !== undefined ? b.rateMismatch.toFixed(2) : '',
+    ms(b.meanInterval),
+    ms(b.stdInterval),
+    ms(b.minInterval),
+    ms(b.maxInterval),
+    ms(b.meanDeviation),
+    ms(b.medianDeviation),
+    (b.anomalies || []).filter(a => a.type === 'missed').length,
+    (b.anomalies || []).filter(a => a.type === 'double').length,
+    b.label ?? '',
+    b.excluded ? 'yes' : '',
+  ]);
+
+  return { headers, rows };
+}
@@ -0,0 +1,85 @@
+/**
+ * Edit History
+ * Undo/redo stacks of result-edit snapshots (shot list, manual shot edits, burst edits)
+ */
+
+// Oldest undo steps are dropped beyond this many
+const MAX_HISTORY = 200;
+
+export class EditHistory {
+  constructor(limit = MAX_HISTORY) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Record the state from before an edit. A new edit discards anything that
+   * could have been redone.
+   * @param {Object} snapshot - State to return to on undo
+   */
+  record(snapshot) {
+    this.undoStack.push(snapshot);
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  /**
+   * Step back one edit
+   * @param {Object} current - Snapshot of the present state, kept for redo
+   * @returns {Object|null} The state to restore, or null when there is nothing to undo
+   */
+  undo(current) {
+    if (this.undoStack.length === 0) return null;
+    this.redoStack.push(current);
+    return this.undoStack.pop();
+  }
+
+  /**
+   * Re-apply the last undone edit
+   * @param {Object} current - Snapshot of the present state, kept for undo
+   * @returns {Object|null} The state to restore, or null when there is nothing to redo
+   */
+  redo(current) {
+    if (this.redoStack.length === 0) return null;
+    this.undoStack.push(current);
+    return this.redoStack.pop();
+  }
+
+  /**
+   * Rewrite every stored snapshot (after a change that invalidates part of
+   * them), dropping steps that would no longer change anything
+   * @param {Object} current - Snapshot of the present state, already rewritten
+   * @param {Function} transform - (snapshot) => rewritten snapshot
+   * @param {Function} isSame - (a, b) => whether restoring b over a changes nothing
+   */
+  rebase(current, transform, isSame) {
+    // Both stacks are walked outwards from the present state
+    const squash = (stack) => {
+      const kept = [];
+      let previous = current;
+      for (let i = stack.length - 1; i >= 0; i--) {
+        const snapshot = transform(stack[i]);
+        if (isSame(previous, snapshot)) continue;
+        kept.unshift(snapshot);
+        previous = snapshot;
+      }
+      return kept;
+    };
+    this.undoStack = squash(this.undoStack);
+    this.redoStack = squash(this.redoStack);
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+}
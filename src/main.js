@@ -7,8 +7,14 @@ import { FFmpeg } from '@ffmpeg/ffmpeg';
 import { toBlobURL } from '@ffmpeg/util';
 import html2canvas from 'html2canvas';
 import { jsPDF } from 'jspdf';
-import { RateOfFireDetector } from './rof-detector.js';
-import { ROFVisualizer } from './visualizer.js';
+import { RateOfFireDetector, normalizeBurstEdits } from './rof-detector.js';
+import { AnalysisWorkerClient } from './analysis-client.js';
+import { ROFVisualizer, getBurstColor, renderComparisonCharts } from './visualizer.js';
+import { createSession, isSessionFile, parseSession } from './session.js';
+import { EditHistory } from './edit-history.js';
+import { AudioPlayer } from './audio-player.js';
+import { SUMMARY_COLUMNS, createComparisonEntry } from './comparison.js';
+import { buildBurstTable, buildShotTable, toCSV } from './csv.js';
 import Plotly from 'plotly.js-dist-min';
 import devCoreURL from '@ffmpeg/core?url';
 import devWasmURL from '@ffmpeg/core/wasm?url';
@@ -21,6 +27,8 @@ const dropZone = document.getElementById('f3ds-rof-dropzone');
 const fileInput = document.getElementById('f3ds-rof-file-input');
 const loading = document.getElementById('f3ds-rof-loading');
 const loadingText = document.getElementById('f3ds-rof-loading-text');
+const progressBar = document.getElementById('f3ds-rof-progress-bar');
+const cancelBtn = document.getElementById('f3ds-rof-cancel');
 const errorDiv = document.getElementById('f3ds-rof-error');
 const rofControlsHeader = document.getElementById('f3ds-rof-controls-header');
 const rofControlsToggle = document.getElementById('f3ds-rof-controls-toggle');
@@ -29,17 +37,56 @@ const rofResults = document.getElementById('f3ds-rof-results');
 const rofSummary = document.getElementById('f3ds-rof-summary');
 const rofBursts = document.getElementById('f3ds-rof-bursts');
 const rofPlot = document.getElementById('f3ds-rof-chart');
+const rateChart = document.getElementById('f3ds-rof-rate-chart');
+const intervalHistogram = document.getElementById('f3ds-rof-interval-histogram');
 const buildDetailsInput = document.getElementById('f3ds-rof-build-details');
 
+const detectionModeInput = document.getElementById('f3ds-rof-detection-mode');
+const thresholdModeInput = document.getElementById('f3ds-rof-threshold-mode');
 const peakThresholdInput = document.getElementById('f3ds-rof-peak-threshold');
+const thresholdWindowInput = document.getElementById('f3ds-rof-threshold-window');
+const thresholdPercentileInput = document.getElementById('f3ds-rof-threshold-percentile');
 const minShotSpacingInput = document.getElementById('f3ds-rof-min-shot-spacing');
+const timingModeInput = document.getElementById('f3ds-rof-timing-mode');
 const burstGapThresholdInput = document.getElementById('f3ds-rof-burst-gap');
 const windowSizeInput = document.getElementById('f3ds-rof-window-size');
+const envelopeMethodInput = document.getElementById('f3ds-rof-envelope-method');
+const filterTypeInput = document.getElementById('f3ds-rof-filter-type');
+const filterFrequencyInput = document.getElementById('f3ds-rof-filter-frequency');
+const filterQInput = document.getElementById('f3ds-rof-filter-q');
 const minPeakProminenceInput = document.getElementById('f3ds-rof-min-prominence');
 const minBurstCountInput = document.getElementById('f3ds-rof-min-burst-count');
+const rateMismatchInput = document.getElementById('f3ds-rof-rate-mismatch');
+const channelInput = document.getElementById('f3ds-rof-channel');
+const compareChannelsInput = document.getElementById('f3ds-rof-compare-channels');
+const regionStartInput = document.getElementById('f3ds-rof-region-start');
+const regionEndInput = document.getElementById('f3ds-rof-region-end');
+const selectRegionBtn = document.getElementById('f3ds-rof-select-region');
+const clearRegionBtn = document.getElementById('f3ds-rof-clear-region');
+const spectrogramBtn = document.getElementById('f3ds-rof-spectrogram');
+const undoBtn = document.getElementById('f3ds-rof-undo');
+const redoBtn = document.getElementById('f3ds-rof-redo');
+const resetEditsBtn = document.getElementById('f3ds-rof-reset-edits');
+const editCountLabel = document.getElementById('f3ds-rof-edit-count');
+const playPauseBtn = document.getElementById('f3ds-rof-play');
+const playbackBurstInput = document.getElementById('f3ds-rof-playback-burst');
+const loopPlaybackBtn = document.getElementById('f3ds-rof-playback-loop');
+const playbackRateInput = document.getElementById('f3ds-rof-playback-rate');
 
 const exportPngBtn = document.getElementById('f3ds-rof-export-jpg');
 const exportPdfBtn = document.getElementById('f3ds-rof-export-pdf');
+const exportJsonBtn = document.getElementById('f3ds-rof-export-json');
+const addComparisonBtn = document.getElementById('f3ds-rof-add-comparison');
+const comparisonSection = document.getElementById('f3ds-rof-comparison');
+const comparisonTable = document.getElementById('f3ds-rof-comparison-table');
+const comparisonHistogram = document.getElementById('f3ds-rof-comparison-histogram');
+const comparisonRateChart = document.getElementById('f3ds-rof-comparison-rate');
+const exportComparisonPdfBtn = document.getElementById('f3ds-rof-export-comparison-pdf');
+const clearComparisonBtn = document.getElementById('f3ds-rof-clear-comparison');
+const exportShotsCsvBtn = document.getElementById('f3ds-rof-export-shots-csv');
+const exportBurstsCsvBtn = document.getElementById('f3ds-rof-export-bursts-csv');
+const autoTuneBtn = document.getElementById('f3ds-rof-autotune');
+const autoTuneResult = document.getElementById('f3ds-rof-autotune-result');
 
 // ── State ──────────────────────────────────────────────────────
 let ffmpeg = null;
@@ -49,14 +96,29 @@ let currentResults = null;
 let visualizer = null;
 let currentFile = null;
 let reanalysisTimeout = null;
+let manualEdits = { added: [], removed: [] };
+// Split/merge/exclude/label edits; unlike shot edits they survive re-analysis
+let burstEdits = normalizeBurstEdits();
+// Undo/redo of shot and burst edits on the current analysis
+const editHistory = new EditHistory();
+// Burst the chart is zoomed to (index, and its midpoint time so the focus can
+// follow it through regrouping), and bursts whose shot list is expanded
+let focusedBurst = null;
+let focusedBurstTime = null;
+const expandedBursts = new Set();
+// Recordings added to the comparison; kept when the next file is loaded
+let comparisonEntries = [];
+const audioPlayer = new AudioPlayer(onPlaybackPosition);
+let extractingAudio = false;
+let cancelRequested = false;
+let autoTuneProposal = null;
+// Decoded PCM per dropped File, so re-analysis never re-runs FFmpeg
+const decodedAudioCache = new WeakMap();
+const analysisClient = new AnalysisWorkerClient({ workerURL: getAnalysisWorkerURL() });
 
 // Helpers
-const COLORS = [
-  '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8',
-  '#F7DC6F', '#BB8FCE', '#85C1E2', '#F8B739', '#52C77C',
-];
-function getBurstColor(index) {
-  return COLORS[index % COLORS.length];
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
 }
 
 function getFFmpegURLs() {
@@ -72,6 +134,14 @@ function getFFmpegURLs() {
   return { coreURL: devCoreURL, wasmURL: devWasmURL };
 }
 
+function getAnalysisWorkerURL() {
+  const config = window.F3DS_ROF_CONFIG || {};
+  if (config.pluginUrl) {
+    return config.pluginUrl.replace(/\/$/, '') + '/assets/js/analysis-worker.js';
+  }
+  return null;
+}
+
 // ── Initialization ─────────────────────────────────────────────
 async function loadFFmpeg() {
   if (ffmpeg?.loaded) return;
@@ -96,8 +166,25 @@ async function loadFFmpeg() {
 
 loadFFmpeg().catch((err) => console.error('[F3DS ROF] FFmpeg preload failed:', err));
 
+/**
+ * Several files at once are analyzed in turn with the current settings and
+ * each is added to the comparison
+ */
+async function handleFiles(files) {
+  const list = Array.from(files || []);
+  if (list.length <= 1) return handleFile(list[0]);
+
+  cancelRequested = false;
+  for (const file of list) {
+    await handleFile(file);
+    if (cancelRequested) break;
+    if (currentResults) addToComparison();
+  }
+}
+
 async function handleFile(file) {
   if (!file) return;
+  if (isSessionFile(file)) return importSession(file);
   cleanup();
   currentFile = file;
 
@@ -118,67 +205,491 @@ async function handleFile(file) {
     rofResults.classList.add('active');
   } catch (err) {
     if (currentFile === file) {
-      showError('Error analyzing file: ' + err.message);
+      if (!isCancellation(err)) showError('Error analyzing file: ' + err.message);
       loading.classList.remove('active');
     }
   }
 }
 
 function cleanup() {
+  if (analysisClient.isBusy()) analysisClient.cancel();
+  audioPlayer.stop();
   if (detector) { try { detector.dispose(); } catch (e) { } detector = null; }
   if (visualizer) { try { visualizer.reset(); } catch (e) { } visualizer = null; }
+  selectRegionBtn.classList.remove('active');
   currentResults = null;
+  manualEdits = { added: [], removed: [] };
+  burstEdits = normalizeBurstEdits();
+  editHistory.clear();
+  focusedBurst = null;
+  focusedBurstTime = null;
+  expandedBursts.clear();
+  clearAutoTuneProposal();
+  autoTuneBtn.disabled = true;
   rofResults.classList.remove('active');
   errorDiv.classList.remove('active');
   loading.classList.remove('active');
 }
 
-async function analyzeRateOfFire(file) {
-  const params = {
+function readParameters() {
+  return {
+    detectionMode: detectionModeInput.value,
+    thresholdMode: thresholdModeInput.value,
     peakThresholdStd: parseFloat(peakThresholdInput.value),
+    thresholdWindow: parseFloat(thresholdWindowInput.value),
+    thresholdPercentile: parseFloat(thresholdPercentileInput.value),
     minShotSpacing: parseFloat(minShotSpacingInput.value),
+    timingMode: timingModeInput.value,
     burstGapThreshold: parseFloat(burstGapThresholdInput.value),
     windowSize: parseFloat(windowSizeInput.value),
+    envelopeMethod: envelopeMethodInput.value,
+    filterType: filterTypeInput.value,
+    filterFrequency: parseFloat(filterFrequencyInput.value),
+    filterQ: parseFloat(filterQInput.value),
     minPeakProminence: parseFloat(minPeakProminenceInput.value),
     minBurstCount: parseInt(minBurstCountInput.value),
+    rateMismatchPercent: parseFloat(rateMismatchInput.value),
+    // The channel select holds 'mix', 'best' or a channel number
+    channelMode: /^\d+$/.test(channelInput.value) ? 'single' : channelInput.value,
+    channel: /^\d+$/.test(channelInput.value) ? parseInt(channelInput.value) : 1,
+    compareChannels: compareChannelsInput.value === 'on',
+    // Empty region inputs mean the whole recording
+    regionStart: parseFloat(regionStartInput.value) || 0,
+    regionEnd: parseFloat(regionEndInput.value) || 0,
+    burstEdits,
   };
+}
 
-  detector = new RateOfFireDetector(params);
-  const onProgress = (msg) => { loadingText.textContent = msg; };
-  currentResults = await detector.analyze(file, ffmpeg, onProgress);
+/**
+ * Offer one "Channel N" option per channel of the loaded recording
+ * @param {number} count - Channel count
+ * @returns {boolean} false when the selected channel no longer exists
+ */
+function updateChannelOptions(count) {
+  const selected = channelInput.value;
+  channelInput.querySelectorAll('option').forEach(option => {
+    if (/^\d+$/.test(option.value)) option.remove();
+  });
+  for (let c = 1; c <= count; c++) {
+    channelInput.add(new Option(`Channel ${c}`, String(c)));
+  }
+  channelInput.value = selected;
+  if (channelInput.value) return true;
+  channelInput.value = 'mix';
+  return false;
+}
 
+async function analyzeRateOfFire(file) {
+  let params = readParameters();
+  cancelRequested = false;
+  setProgress(0);
+
+  // Audio decode stays on the main thread (FFmpeg + AudioContext);
+  // the DSP pipeline runs in the analysis worker. Re-analysis of the same
+  // file reuses the decoded samples and the worker's memoized stages.
+  const decoded = decodedAudioCache.get(file);
+  const reuseDetector = detector && detector.channelData && decoded?.channelData === detector.channelData &&
+    decodeCovers(decoded, params);
+  const nextDetector = reuseDetector ? detector : new RateOfFireDetector(params);
+  nextDetector.setParameters(params);
+
+  let analysis;
+  try {
+    if (!reuseDetector) {
+      await loadDecodedAudio(nextDetector, file);
+      // A channel this recording doesn't have falls back to the mix
+      if (!updateChannelOptions(nextDetector.channelData.length)) {
+        params = readParameters();
+        nextDetector.setParameters(params);
+      }
+    }
+
+    analysis = await analysisClient.analyze(nextDetector.channelData, nextDetector.sampleRate, params, {
+      inputFile: file.name,
+      audioOffset: nextDetector.audioOffset,
+      onProgress: (msg, percent) => {
+        loadingText.textContent = msg;
+        setProgress(percent);
+      },
+    });
+  } catch (err) {
+    if (!reuseDetector) nextDetector.dispose();
+    throw err;
+  }
+
+  if (detector && detector !== nextDetector) {
+    // Its AudioContext closes with it
+    audioPlayer.stop();
+    detector.dispose();
+  }
+  detector = nextDetector;
+  // Chart the same channel the worker analyzed
+  detector.selectChannel();
+  detector.shotTimes = analysis.shotTimes;
+  detector.bursts = analysis.burstIndices;
+  currentResults = analysis.results;
+  // A fresh analysis replaces any hand-edited shots. Burst edits carry over,
+  // so their history is kept, rewritten onto the new shot list.
+  manualEdits = { added: [], removed: [] };
+  editHistory.rebase(
+    snapshotEdits(),
+    (snapshot) => ({ ...snapshot, shotTimes: detector.shotTimes.slice(), manualEdits: { added: [], removed: [] } }),
+    (a, b) => JSON.stringify(a.burstEdits) === JSON.stringify(b.burstEdits)
+  );
+
+  await showResults();
+}
+
+/**
+ * Load a file's samples into the detector, decoding with FFmpeg only when the
+ * cached decode doesn't contain the target's region of interest
+ */
+async function loadDecodedAudio(target, file) {
+  const cached = decodedAudioCache.get(file);
+  if (cached && decodeCovers(cached, target)) {
+    target.loadAudio(cached.channelData, cached.sampleRate, (msg) => { loadingText.textContent = msg; }, cached.offset);
+    return;
+  }
+
+  extractingAudio = true;
+  try {
+    await target.extractAudio(file, ffmpeg, (msg) => { loadingText.textContent = msg; });
+  } finally {
+    extractingAudio = false;
+  }
+  decodedAudioCache.set(file, {
+    channelData: target.channelData,
+    sampleRate: target.sampleRate,
+    offset: target.audioOffset,
+    // null: decoded through the end of the file
+    end: target.regionEnd > 0 ? target.regionEnd : null,
+  });
+}
+
+/**
+ * Whether a cached decode contains the region {regionStart, regionEnd}
+ */
+function decodeCovers(decoded, { regionStart, regionEnd }) {
+  if (regionStart < decoded.offset) return false;
+  return decoded.end === null || (regionEnd > 0 && regionEnd <= decoded.end);
+}
+
+/**
+ * Abort the in-flight analysis (worker pipeline and, if running, FFmpeg extraction)
+ */
+function cancelAnalysis() {
+  cancelRequested = true;
+  analysisClient.cancel();
+
+  if (extractingAudio && ffmpeg) {
+    // FFmpeg has no per-job abort; terminate it and warm up a fresh instance
+    ffmpeg.terminate();
+    ffmpeg = null;
+    ffmpegLoadPromise = null;
+    loadFFmpeg().catch((err) => console.error('[F3DS ROF] FFmpeg reload failed:', err));
+  }
+
+  loading.classList.remove('active');
+}
+
+function isCancellation(err) {
+  return cancelRequested || err?.name === 'AbortError';
+}
+
+function setProgress(percent) {
+  progressBar.style.width = `${Math.max(0, Math.min(100, percent ?? 0))}%`;
+}
+
+/**
+ * Render the summary, burst cards and chart for the current results
+ */
+async function showResults() {
   displayROFResults(detector, currentResults);
+  // Auto-tune needs decoded audio (imported sessions don't have any)
+  autoTuneBtn.disabled = !detector?.audioData;
+  spectrogramBtn.disabled = !detector?.audioData;
 
   if (!visualizer) {
-    visualizer = new ROFVisualizer(rofPlot);
+    visualizer = new ROFVisualizer(rofPlot, { rateElement: rateChart, histogramElement: intervalHistogram });
     visualizer.setupInteractions(onPeakToggle);
+    visualizer.showSpectrogram = spectrogramBtn.classList.contains('active');
   }
+  await loadSpectrogram();
   await visualizer.render(detector, currentResults);
+  updateEditControls();
+  updatePlaybackControls();
   setTimeout(() => visualizer.resize(), 0);
 }
 
+/**
+ * Regroup bursts and recompute statistics (in the worker) from detector.shotTimes
+ */
+async function rebuildResultsFromShots() {
+  const update = await analysisClient.regroup(
+    detector.shotTimes, detector.sampleRate, currentResults.parameters, detector.channelData
+  );
+
+  detector.shotTimes = update.shotTimes;
+  detector.bursts = update.burstIndices;
+  currentResults = { ...currentResults, ...update.results };
+}
+
 async function onPeakToggle(clickedTime) {
   if (!detector || !currentResults) return;
   const tolerance = 0.01;
   const existingPeakIndex = detector.shotTimes.findIndex(t => Math.abs(t - clickedTime) < tolerance);
+  editHistory.record(snapshotEdits());
 
-  if (existingPeakIndex !== -1) detector.shotTimes.splice(existingPeakIndex, 1);
-  else detector.shotTimes.push(clickedTime);
+  if (existingPeakIndex !== -1) {
+    const [removedTime] = detector.shotTimes.splice(existingPeakIndex, 1);
+    recordManualEdit('removed', 'added', removedTime);
+  } else {
+    detector.shotTimes.push(clickedTime);
+    recordManualEdit('added', 'removed', clickedTime);
+  }
+
+  await refreshAfterEdit();
+}
+
+/**
+ * Apply an anomaly's suggested fix: insert the missed shot or drop the double trigger
+ * @param {string} action - 'add' | 'remove'
+ * @param {number} time - Shot time in seconds
+ */
+async function acceptSuggestedFix(action, time) {
+  if (!detector || !currentResults) return;
 
-  detector.shotTimes.sort((a, b) => a - b);
-  const newPeaks = detector.shotTimes.map(t => Math.round(t * detector.sampleRate));
+  if (action === 'remove') {
+    // The suggested time is the detected shot itself
+    const index = detector.shotTimes.findIndex(t => Math.abs(t - time) < 1e-6);
+    if (index === -1) return;
+    editHistory.record(snapshotEdits());
+    const [removedTime] = detector.shotTimes.splice(index, 1);
+    recordManualEdit('removed', 'added', removedTime);
+  } else {
+    editHistory.record(snapshotEdits());
+    detector.shotTimes.push(time);
+    recordManualEdit('added', 'removed', time);
+  }
 
-  detector.groupIntoBursts();
-  const burstResults = detector.calculateRates();
-  const summary = detector.generateSummary(burstResults);
+  await refreshAfterEdit();
+}
 
-  currentResults = { ...currentResults, summary, bursts: burstResults, peaks: newPeaks };
+/**
+ * Regroup after a shot or burst edit and redraw the cards and chart
+ */
+async function refreshAfterEdit() {
+  try {
+    await rebuildResultsFromShots();
+  } catch (err) {
+    if (!isCancellation(err)) showError('Error updating shots: ' + err.message);
+    return;
+  }
   displayROFResults(detector, currentResults);
   await visualizer.render(detector, currentResults);
+  updateEditControls();
+  updatePlaybackControls();
+}
+
+// ── Edit History ───────────────────────────────────────────────
+/**
+ * Everything an edit can change, copied so later edits don't alter it
+ */
+function snapshotEdits() {
+  return {
+    shotTimes: detector.shotTimes.slice(),
+    manualEdits: { added: manualEdits.added.slice(), removed: manualEdits.removed.slice() },
+    burstEdits: structuredClone(burstEdits),
+  };
+}
+
+async function restoreEdits(snapshot) {
+  detector.shotTimes = snapshot.shotTimes;
+  manualEdits = snapshot.manualEdits;
+  burstEdits = snapshot.burstEdits;
+  currentResults.parameters = { ...currentResults.parameters, burstEdits };
+  await refreshAfterEdit();
+}
+
+async function undoEdit() {
+  if (!detector || !currentResults) return;
+  const snapshot = editHistory.undo(snapshotEdits());
+  if (snapshot) await restoreEdits(snapshot);
+}
+
+async function redoEdit() {
+  if (!detector || !currentResults) return;
+  const snapshot = editHistory.redo(snapshotEdits());
+  if (snapshot) await restoreEdits(snapshot);
+}
+
+/**
+ * Drop every shot and burst edit, back to the detector's own output.
+ * Undoable like any other edit.
+ */
+async function resetToAutoDetected() {
+  if (!detector || !currentResults || countEdits() === 0) return;
+  editHistory.record(snapshotEdits());
+
+  // Auto-detected shots: the current list without added shots, plus removed ones
+  const added = new Set(manualEdits.added);
+  const autoShots = detector.shotTimes.filter(t => !added.has(t)).concat(manualEdits.removed);
+  await restoreEdits({
+    shotTimes: autoShots.sort((a, b) => a - b),
+    manualEdits: { added: [], removed: [] },
+    burstEdits: normalizeBurstEdits(),
+  });
+}
+
+/**
+ * Net edits relative to the auto-detected result
+ */
+function countEdits() {
+  return manualEdits.added.length + manualEdits.removed.length +
+    burstEdits.splits.length + burstEdits.merges.length + burstEdits.excluded.length + burstEdits.labels.length;
+}
+
+function updateEditControls() {
+  const count = countEdits();
+  editCountLabel.textContent = count === 0 ? 'No edits' : `${count} edit${count === 1 ? '' : 's'}`;
+  undoBtn.disabled = !editHistory.canUndo;
+  redoBtn.disabled = !editHistory.canRedo;
+  resetEditsBtn.disabled = count === 0;
+}
+
+/**
+ * Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redo. Text fields keep
+ * their own undo.
+ */
+function onEditShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || !currentResults) return;
+  if (e.target.closest('input, textarea, select')) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undoEdit();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redoEdit();
+  }
+}
+
+// ── Burst Editing ──────────────────────────────────────────────
+/**
+ * Apply a manual burst edit and regroup. The edits travel with the analysis
+ * parameters, so re-analysis re-applies them and session exports keep them.
+ * @param {Function} change - Mutates burstEdits
+ */
+async function editBursts(change) {
+  if (!detector || !currentResults) return;
+  editHistory.record(snapshotEdits());
+  change(burstEdits);
+  currentResults.parameters = { ...currentResults.parameters, burstEdits };
+  await refreshAfterEdit();
+}
+
+const burstMidpoint = (burst) => (burst.startTime + burst.endTime) / 2;
+const isInBurst = (burst, time) => time >= burst.startTime && time <= burst.endTime;
+
+/**
+ * Force a burst boundary between shot `afterShot` (1-based within the burst) and the next
+ */
+function splitBurst(burst, afterShot) {
+  const time = (burst.shotTimes[afterShot - 1] + burst.shotTimes[afterShot]) / 2;
+  return editBursts(edits => edits.splits.push(time));
+}
+
+function mergeWithNextBurst(burst, next) {
+  return editBursts(edits => {
+    // An earlier split in the gap would keep the bursts apart
+    edits.splits = edits.splits.filter(t => t <= burst.endTime || t > next.startTime);
+    edits.merges.push({ from: burst.endTime, to: next.startTime });
+  });
+}
+
+function toggleBurstExcluded(burst) {
+  return editBursts(edits => {
+    if (burst.excluded) edits.excluded = edits.excluded.filter(t => !isInBurst(burst, t));
+    else edits.excluded.push(burstMidpoint(burst));
+  });
+}
+
+function setBurstLabel(burst, label) {
+  return editBursts(edits => {
+    edits.labels = edits.labels.filter(l => !isInBurst(burst, l.time));
+    if (label) edits.labels.push({ time: burstMidpoint(burst), label });
+  });
+}
+
+/**
+ * Label, split, merge and exclude controls of a burst card
+ */
+function buildBurstActionsHTML(burst, index, burstCount) {
+  // Both halves of a split need at least two shots
+  const splitOptions = [];
+  for (let shot = 2; shot <= burst.numShots - 2; shot++) {
+    splitOptions.push(`<option value="${shot}">After shot ${shot}</option>`);
+  }
+  const splitHTML = splitOptions.length > 0
+    ? `<select class="f3ds-rof-burst-split"><option value="">Split…</option>${splitOptions.join('')}</select>`
+    : '';
+  const mergeHTML = index < burstCount - 1
+    ? '<button type="button" class="f3ds-rof-burst-action" data-action="merge">Merge with next</button>'
+    : '';
+
+  // Imported sessions have no audio to play
+  const playHTML = detector?.audioData
+    ? '<button type="button" class="f3ds-rof-burst-action" data-action="play">Play</button>'
+    : '';
+
+  return `
+    <div class="f3ds-rof-burst-actions" data-burst="${index}">
+      ${playHTML}
+      <input type="text" class="f3ds-rof-burst-label-input" placeholder="Label, e.g. Mag 2 – suppressed"
+        value="${escapeHTML(burst.label || '')}">
+      ${splitHTML}
+      ${mergeHTML}
+      <button type="button" class="f3ds-rof-burst-action" data-action="exclude">${burst.excluded ? 'Include' : 'Exclude'}</button>
+    </div>
+  `;
+}
+
+/**
+ * Burst-card control events, delegated from the cards container
+ */
+function onBurstAction(e) {
+  const actions = e.target.closest('.f3ds-rof-burst-actions');
+  if (!actions || !currentResults) return;
+  const index = parseInt(actions.dataset.burst);
+  const burst = currentResults.bursts[index];
+  if (!burst) return;
+
+  if (e.type === 'click' && e.target.matches('.f3ds-rof-burst-action')) {
+    const action = e.target.dataset.action;
+    if (action === 'play') playBurst(index);
+    else if (action === 'merge') mergeWithNextBurst(burst, currentResults.bursts[index + 1]);
+    else toggleBurstExcluded(burst);
+  } else if (e.type === 'change' && e.target.matches('.f3ds-rof-burst-split') && e.target.value) {
+    splitBurst(burst, parseInt(e.target.value));
+  } else if (e.type === 'change' && e.target.matches('.f3ds-rof-burst-label-input')) {
+    setBurstLabel(burst, e.target.value.trim());
+  }
+}
+
+/**
+ * Track a manual toggle; undoing an earlier manual edit cancels it out
+ */
+function recordManualEdit(list, oppositeList, time) {
+  const tolerance = 0.01;
+  const oppositeIndex = manualEdits[oppositeList].findIndex(t => Math.abs(t - time) < tolerance);
+  if (oppositeIndex !== -1) manualEdits[oppositeList].splice(oppositeIndex, 1);
+  else manualEdits[list].push(time);
 }
 
 // ── Display Logic (Step 8.1 Updates) ───────────────────────────
 function displayROFResults(detector, results) {
+  reanchorFocusedBurst(results.bursts);
   const summary = results.summary;
   const items = [];
 
@@ -190,7 +701,7 @@ function displayROFResults(detector, results) {
     });
     items.push({
       label: 'Total Bursts',
-      value: summary.totalBursts,
+      value: summary.totalBursts + (summary.excludedBursts ? ` (+${summary.excludedBursts} excluded)` : ''),
       tooltip: null
     });
     items.push({
@@ -223,7 +734,7 @@ function displayROFResults(detector, results) {
   let summaryHTML = `
     <h2>Summary</h2>
     <div id="f3ds-rof-live-notes-container" class="f3ds-rof-summary-notes" style="display: ${buildNotes ? 'block' : 'none'};">
-        <strong>Build Notes:</strong> <span id="f3ds-rof-live-notes-content">${buildNotes}</span>
+        <strong>Build Notes:</strong> <span id="f3ds-rof-live-notes-content">${escapeHTML(buildNotes)}</span>
     </div>
     <div class="f3ds-rof-summary-divider"></div>
     <div class="f3ds-signature-summary-container">
@@ -262,19 +773,38 @@ function displayROFResults(detector, results) {
       // Dynamic Border Color
       const borderColor = getBurstColor(index);
 
+      // Periodicity cross-check (absent for imported sessions without audio)
+      const acfRate = burst.acfRateRpm ? burst.acfRateRpm.toFixed(1) : '—';
+      const warningHTML = burst.rateMismatchWarning
+        ? `<p class="f3ds-rof-burst-warning">&#9888; Shot-count RPM and cycle RPM differ by ${burst.rateMismatch.toFixed(1)}% — check for missed or doubled peaks.</p>`
+        : '';
+
+      const title = burst.label ? `Burst ${burst.burstNumber}: ${escapeHTML(burst.label)}` : `Burst ${burst.burstNumber}:`;
+      const excludedHTML = burst.excluded ? ' <span class="f3ds-rof-burst-excluded-tag">Excluded</span>' : '';
+
       // Task 8.2: Filtered Variables & Exact Labels
+      const cardClasses = ['f3ds-rof-burst-card'];
+      if (burst.excluded) cardClasses.push('f3ds-rof-burst-excluded');
+      if (index === focusedBurst) cardClasses.push('f3ds-rof-burst-active');
+
       burstsHTML += `
-        <div class="f3ds-rof-burst-card" style="border-left-color: ${borderColor};">
+        <div class="${cardClasses.join(' ')}" data-burst="${index}" style="border-left-color: ${borderColor};"
+          title="Click to zoom the chart to this burst">
           <div class="f3ds-rof-burst-content">
-            <h4 class="f3ds-rof-burst-label">Burst ${burst.burstNumber}:</h4>
+            <h4 class="f3ds-rof-burst-label">${title}${excludedHTML}</h4>
             <div class="f3ds-rof-burst-details">
               <p><strong>Shots</strong> <span>${burst.numShots}</span></p>
               <p><strong>RPM</strong> <span>${burst.rateRpm.toFixed(1)}</span></p>
+              <p><strong>Cycle RPM</strong> <span>${acfRate}</span></p>
               <p><strong>Duration</strong> <span>${burst.duration.toFixed(3)}s</span></p>
               <p><strong>STD DEV</strong> <span>${(burst.stdInterval * 1000).toFixed(2)}ms</span></p>
               <p><strong>MEAN DEV</strong> <span>${(burst.meanDeviation * 1000).toFixed(2)}ms</span></p>
             </div>
           </div>
+          ${warningHTML}
+          ${buildAnomaliesHTML(burst)}
+          ${buildBurstDetailHTML(burst, index)}
+          ${buildBurstActionsHTML(burst, index, results.bursts.length)}
         </div>
       `;
     });
@@ -284,22 +814,375 @@ function displayROFResults(detector, results) {
   }
 }
 
+/**
+ * Expandable shot list of a burst: each shot's time, the interval since the
+ * previous shot, and how far that interval is from the burst's mean
+ */
+function buildBurstDetailHTML(burst, index) {
+  const rows = burst.shotTimes.map((time, i) => {
+    if (i === 0) {
+      return `<tr><td>1</td><td>${time.toFixed(4)}</td><td>—</td><td>—</td></tr>`;
+    }
+    const interval = time - burst.shotTimes[i - 1];
+    const deviation = (interval - burst.meanInterval) * 1000;
+    return `
+      <tr>
+        <td>${i + 1}</td>
+        <td>${time.toFixed(4)}</td>
+        <td>${(interval * 1000).toFixed(2)}</td>
+        <td>${deviation >= 0 ? '+' : ''}${deviation.toFixed(2)}</td>
+      </tr>
+    `;
+  });
+
+  return `
+    <details class="f3ds-rof-burst-detail" data-burst="${index}"${expandedBursts.has(index) ? ' open' : ''}>
+      <summary>Shot list</summary>
+      <table class="f3ds-rof-shot-table">
+        <thead><tr><th>Shot</th><th>Time (s)</th><th>Interval (ms)</th><th>Dev. from Mean (ms)</th></tr></thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    </details>
+  `;
+}
+
+/**
+ * Suspected missed shots / double triggers of a burst, each with an accept-fix button
+ */
+function buildAnomaliesHTML(burst) {
+  if (!burst.anomalies || burst.anomalies.length === 0) return '';
+
+  // Shot numbers are 1-based positions in the full shot list, as in the shots CSV
+  const items = burst.anomalies.map(anomaly => {
+    const { action, time } = anomaly.suggestedFix;
+    const description = anomaly.type === 'missed'
+      ? `Possible missed shot between shots ${anomaly.shotIndices[0] + 1} and ${anomaly.shotIndices[1] + 1} ` +
+      `(${(anomaly.intervals[0] * 1000).toFixed(1)}ms gap)`
+      : `Possible double trigger at shot ${anomaly.shotIndices[1] + 1} ` +
+      `(${anomaly.intervals.map(i => (i * 1000).toFixed(1) + 'ms').join(' + ')})`;
+    const label = action === 'add' ? `Add shot at ${time.toFixed(3)}s` : `Remove shot at ${time.toFixed(3)}s`;
+
+    return `
+      <li class="f3ds-rof-anomaly f3ds-rof-anomaly-${anomaly.type}">
+        <span>&#9888; ${description}</span>
+        <button type="button" class="f3ds-rof-anomaly-fix" data-action="${action}" data-time="${time}">${label}</button>
+      </li>
+    `;
+  });
+
+  return `<ul class="f3ds-rof-anomalies">${items.join('')}</ul>`;
+}
+
 // ── Re-analysis & Error ────────────────────────────────────────
 function scheduleReanalysis() {
   if (!currentFile) return;
   if (reanalysisTimeout) clearTimeout(reanalysisTimeout);
   reanalysisTimeout = setTimeout(async () => {
-    try {
+    // Most edits only re-run cheap cached stages; skip the spinner unless it's slow
+    const spinnerTimeout = setTimeout(() => {
       loadingText.textContent = 'Re-analyzing…';
       loading.classList.add('active');
+    }, 150);
+    try {
       errorDiv.classList.remove('active');
       await analyzeRateOfFire(currentFile);
       loading.classList.remove('active');
     } catch (err) {
-      showError('Error re-analyzing: ' + err.message);
-      loading.classList.remove('active');
+      // A newer reanalysis cancels this one; only report real failures
+      if (!isCancellation(err)) showError('Error re-analyzing: ' + err.message);
+      if (!analysisClient.isBusy('analyze')) loading.classList.remove('active');
+    } finally {
+      clearTimeout(spinnerTimeout);
     }
-  }, 500);
+  }, 300);
+}
+
+// ── Region of Interest ─────────────────────────────────────────
+/**
+ * Arm (or disarm) drag-selecting the analysis region on the chart
+ */
+function toggleRegionSelect() {
+  if (!visualizer) return;
+  const arming = !selectRegionBtn.classList.contains('active');
+  selectRegionBtn.classList.toggle('active', arming);
+  visualizer.setRegionSelect(arming ? applySelectedRegion : null);
+}
+
+function applySelectedRegion(start, end) {
+  selectRegionBtn.classList.remove('active');
+  visualizer.setRegionSelect(null);
+  regionStartInput.value = Math.max(start, 0).toFixed(2);
+  regionEndInput.value = end.toFixed(2);
+  scheduleReanalysis();
+}
+
+function clearRegion() {
+  regionStartInput.value = '';
+  regionEndInput.value = '';
+  scheduleReanalysis();
+}
+
+// ── Burst Navigation ───────────────────────────────────────────
+// Time shown either side of a burst when zooming to it, as a fraction of its duration
+const BURST_ZOOM_PADDING = 0.15;
+
+/**
+ * Zoom the chart to a burst and highlight its card
+ */
+function zoomToBurst(index) {
+  const burst = currentResults?.bursts[index];
+  if (!burst || !visualizer) return;
+  focusedBurst = index;
+  focusedBurstTime = (burst.startTime + burst.endTime) / 2;
+
+  const padding = Math.max(burst.duration * BURST_ZOOM_PADDING, 0.05);
+  visualizer.zoomToRange(burst.startTime - padding, burst.endTime + padding);
+  rofBursts.querySelectorAll('.f3ds-rof-burst-card').forEach(card => {
+    card.classList.toggle('f3ds-rof-burst-active', parseInt(card.dataset.burst) === index);
+  });
+}
+
+function showAllBursts() {
+  if (!visualizer) return;
+  focusedBurst = null;
+  focusedBurstTime = null;
+  visualizer.resetZoom();
+  rofBursts.querySelectorAll('.f3ds-rof-burst-active').forEach(card => card.classList.remove('f3ds-rof-burst-active'));
+}
+
+/**
+ * Point the focus at whichever burst now covers the focused time, after a
+ * merge, split, shot edit or re-analysis has regrouped the bursts (or drop it
+ * when that burst is gone)
+ */
+function reanchorFocusedBurst(bursts) {
+  if (focusedBurstTime === null) return;
+  const index = (bursts || []).findIndex(b => b.startTime <= focusedBurstTime && focusedBurstTime <= b.endTime);
+  focusedBurst = index === -1 ? null : index;
+  if (focusedBurst === null) focusedBurstTime = null;
+}
+
+/**
+ * Clicking a card (outside its controls) zooms to the burst
+ */
+function onBurstCardClick(e) {
+  const card = e.target.closest('.f3ds-rof-burst-card');
+  if (!card || e.target.closest('button, input, select, a, .f3ds-rof-burst-detail')) return;
+  zoomToBurst(parseInt(card.dataset.burst));
+}
+
+function onBurstDetailToggle(e) {
+  if (!e.target.matches('.f3ds-rof-burst-detail')) return;
+  const index = parseInt(e.target.dataset.burst);
+  if (e.target.open) expandedBursts.add(index);
+  else expandedBursts.delete(index);
+}
+
+/**
+ * Left/Right arrows step through the bursts, Escape zooms back out
+ */
+function onBurstNavigationKey(e) {
+  if (!currentResults || currentResults.bursts.length === 0) return;
+  if (e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return;
+  if (e.target.closest('input, textarea, select')) return;
+
+  const last = currentResults.bursts.length - 1;
+  if (e.key === 'ArrowRight') {
+    e.preventDefault();
+    zoomToBurst(focusedBurst === null ? 0 : Math.min(focusedBurst + 1, last));
+  } else if (e.key === 'ArrowLeft') {
+    e.preventDefault();
+    zoomToBurst(focusedBurst === null ? last : Math.max(Math.min(focusedBurst, last + 1) - 1, 0));
+  } else if (e.key === 'Escape' && focusedBurst !== null) {
+    showAllBursts();
+  }
+}
+
+// ── Spectrogram ────────────────────────────────────────────────
+async function toggleSpectrogram() {
+  const showing = spectrogramBtn.classList.toggle('active');
+  if (!visualizer || !detector || !currentResults) return;
+  visualizer.showSpectrogram = showing;
+  await loadSpectrogram();
+  await visualizer.render(detector, currentResults);
+  visualizer.resize();
+}
+
+/**
+ * Have the analysis worker compute the spectrogram when it is shown and the
+ * visualizer doesn't hold one for the current audio yet
+ */
+async function loadSpectrogram() {
+  const target = detector;
+  if (!visualizer.showSpectrogram || !target?.audioData || visualizer.getSpectrogram(target)) return;
+
+  spectrogramBtn.disabled = true;
+  try {
+    const data = await analysisClient.spectrogram(target.channelData, target.sampleRate, target.getParameters(), {
+      audioOffset: target.audioOffset,
+    });
+    visualizer.setSpectrogram(target, data);
+  } catch (err) {
+    if (!isCancellation(err)) showError('Error computing spectrogram: ' + err.message);
+  } finally {
+    spectrogramBtn.disabled = !detector?.audioData;
+  }
+}
+
+// ── Playback ───────────────────────────────────────────────────
+// Audio kept either side of a burst when playing just that burst (s)
+const BURST_PLAYBACK_PADDING = 0.1;
+
+/**
+ * Segment the playback controls select: one burst, or the analyzed region
+ */
+function playbackSegment() {
+  const burst = currentResults.bursts[parseInt(playbackBurstInput.value)];
+  if (burst) {
+    return { start: burst.startTime - BURST_PLAYBACK_PADDING, end: burst.endTime + BURST_PLAYBACK_PADDING };
+  }
+  return { start: currentResults.region?.start ?? 0, end: currentResults.region?.end ?? Infinity };
+}
+
+/**
+ * Start playback with the current controls, from `from` or the segment start
+ */
+function startPlayback(from) {
+  if (!detector?.audioData || !currentResults) return;
+  audioPlayer.play(detector, {
+    ...playbackSegment(),
+    from,
+    loop: loopPlaybackBtn.classList.contains('active'),
+    rate: parseFloat(playbackRateInput.value),
+  });
+}
+
+function togglePlayback() {
+  if (audioPlayer.playing) audioPlayer.pause();
+  else startPlayback(audioPlayer.position ?? undefined);
+}
+
+function playBurst(index) {
+  playbackBurstInput.value = String(index);
+  startPlayback();
+}
+
+/**
+ * Loop and speed changes apply mid-playback, from the current position
+ */
+function onPlaybackSettingChange() {
+  if (audioPlayer.playing) startPlayback(audioPlayer.currentTime());
+}
+
+function onPlaybackBurstChange() {
+  if (audioPlayer.playing) startPlayback();
+  else audioPlayer.stop();
+}
+
+function toggleLoopPlayback() {
+  loopPlaybackBtn.classList.toggle('active');
+  onPlaybackSettingChange();
+}
+
+function onPlaybackPosition(time, playing) {
+  if (visualizer) visualizer.setPlayhead(time);
+  playPauseBtn.textContent = playing ? 'Pause' : 'Play';
+}
+
+/**
+ * One playback option per burst; playback needs decoded audio
+ */
+function updatePlaybackControls() {
+  const selected = playbackBurstInput.value;
+  playbackBurstInput.innerHTML = '<option value="">All Audio</option>';
+  currentResults.bursts.forEach((burst, i) => {
+    const name = `Burst ${burst.burstNumber}` + (burst.label ? ` – ${burst.label}` : '');
+    playbackBurstInput.add(new Option(name, String(i)));
+  });
+  playbackBurstInput.value = selected;
+  if (!playbackBurstInput.value) playbackBurstInput.value = '';
+
+  const hasAudio = Boolean(detector?.audioData);
+  playPauseBtn.disabled = !hasAudio;
+  playbackBurstInput.disabled = !hasAudio;
+}
+
+// ── Auto-tune ──────────────────────────────────────────────────
+// Proposed values are written back to these inputs on Apply
+const AUTO_TUNE_INPUTS = {
+  windowSize: windowSizeInput,
+  peakThresholdStd: peakThresholdInput,
+  thresholdPercentile: thresholdPercentileInput,
+  minPeakProminence: minPeakProminenceInput,
+};
+
+const AUTO_TUNE_LABELS = {
+  windowSize: (v) => `Window ${v}s`,
+  peakThresholdStd: (v) => `Threshold ${v}`,
+  thresholdPercentile: (v) => `Percentile ${v}`,
+  minPeakProminence: (v) => `Prominence ${v}`,
+};
+
+async function runAutoTune() {
+  if (!detector?.audioData || analysisClient.isBusy()) return;
+  cancelRequested = false;
+  clearAutoTuneProposal();
+  errorDiv.classList.remove('active');
+  loadingText.textContent = 'Auto-tuning…';
+  setProgress(0);
+  loading.classList.add('active');
+
+  try {
+    const proposal = await analysisClient.autoTune(detector.channelData, detector.sampleRate, readParameters(), {
+      audioOffset: detector.audioOffset,
+      onProgress: (msg, percent) => {
+        loadingText.textContent = msg;
+        setProgress(percent);
+      },
+    });
+    showAutoTuneProposal(proposal);
+  } catch (err) {
+    if (!isCancellation(err)) showError('Error auto-tuning: ' + err.message);
+  } finally {
+    loading.classList.remove('active');
+  }
+}
+
+function showAutoTuneProposal(proposal) {
+  if (!proposal.params) {
+    autoTuneResult.innerHTML = `<span>No setting found any bursts in ${proposal.candidatesTried} tries. Check the burst parameters or the recording.</span>`;
+    autoTuneResult.classList.add('active');
+    return;
+  }
+
+  autoTuneProposal = proposal;
+  const values = Object.entries(proposal.params)
+    .map(([key, value]) => AUTO_TUNE_LABELS[key](value))
+    .join(' · ');
+
+  autoTuneResult.innerHTML = `
+    <span>${values}</span>
+    <span>${proposal.totalShots} shots in ${proposal.totalBursts} bursts</span>
+    <span>Confidence <strong>${proposal.confidence}%</strong></span>
+    <button type="button" class="f3ds-rof-autotune-apply" id="f3ds-rof-autotune-apply">Apply</button>
+  `;
+  autoTuneResult.classList.add('active');
+  document.getElementById('f3ds-rof-autotune-apply').addEventListener('click', applyAutoTuneProposal);
+}
+
+function applyAutoTuneProposal() {
+  if (!autoTuneProposal) return;
+  for (const [key, value] of Object.entries(autoTuneProposal.params)) {
+    AUTO_TUNE_INPUTS[key].value = value;
+  }
+  clearAutoTuneProposal();
+  scheduleReanalysis();
+}
+
+function clearAutoTuneProposal() {
+  autoTuneProposal = null;
+  autoTuneResult.classList.remove('active');
+  autoTuneResult.innerHTML = '';
 }
 
 function showError(msg) {
@@ -323,7 +1206,7 @@ async function exportROFToPNG() {
   clone.style.border = "none"; // Task: No blue border
   document.body.appendChild(clone);
   // 2. Adjust clone elements (remove tooltips, hide export buttons)
-  clone.querySelectorAll('.f3ds-tooltip-icon, .f3ds-rof-download-buttons').forEach(el => el.remove());
+  clone.querySelectorAll('.f3ds-tooltip-icon, .f3ds-rof-download-buttons, .f3ds-rof-anomaly-fix, .f3ds-rof-chart-tools, .f3ds-rof-burst-actions, .f3ds-rof-burst-detail').forEach(el => el.remove());
 
   const footer = document.createElement('div');
   footer.style.cssText = `
@@ -373,7 +1256,7 @@ async function exportROFToPDF() {
   clone.style.left = "-9999px";
   document.body.appendChild(clone);
 
-  clone.querySelectorAll('.f3ds-tooltip-icon, .f3ds-rof-download-buttons').forEach(el => el.remove());
+  clone.querySelectorAll('.f3ds-tooltip-icon, .f3ds-rof-download-buttons, .f3ds-rof-anomaly-fix, .f3ds-rof-chart-tools, .f3ds-rof-burst-actions, .f3ds-rof-burst-detail').forEach(el => el.remove());
 
   clone.querySelectorAll('*').forEach(el => {
     el.style.setProperty('color', '#000000', 'important');
@@ -458,7 +1341,7 @@ async function exportROFToPDF() {
     </div>
     <div style="text-align: right; max-width: 450px;">
       <strong style="text-transform: uppercase; font-size: 0.8rem; color: #666;">Build Notes:</strong>
-      <div style="font-size: 0.95rem; color: #333; margin-top: 4px;">${buildNotesText || 'N/A'}</div>
+      <div style="font-size: 0.95rem; color: #333; margin-top: 4px;">${escapeHTML(buildNotesText) || 'N/A'}</div>
     </div>
   `;
 
@@ -494,9 +1377,10 @@ async function exportROFToPDF() {
     });
 
     const lightAnnotations = [];
-    const lightShapes = (realChart.layout.shapes || []).map((shape, i) => {
+    const lightShapes = (realChart.layout.shapes || []).filter(shape => shape.name !== 'playhead').map((shape) => {
+      if (shape.name === 'region') return { ...shape, fillcolor: 'rgba(0,0,0,0.15)' };
       lightAnnotations.push({
-        x: shape.x0, y: 1, yref: 'paper', text: `B${i + 1}`,
+        x: shape.x0, y: 1, yref: 'paper', text: shape.name,
         showarrow: false, font: { size: 10, color: '#000000', weight: 'bold' },
         xanchor: 'left', yanchor: 'bottom'
       });
@@ -554,6 +1438,14 @@ async function exportROFToPDF() {
     }
   }
 
+  // 4c. Interval charts, side by side at half width
+  for (const chart of [rateChart, intervalHistogram]) {
+    const cloneContainer = clone.querySelector(`#${chart.id}`);
+    if (!chart.data || !cloneContainer) continue;
+    const imageData = await printableChartImage(chart, 600, 300);
+    cloneContainer.innerHTML = `<img src="${imageData}" style="width:100%; height:auto;">`;
+  }
+
   try {
     const canvas = await html2canvas(clone, {
       scale: 2,
@@ -579,6 +1471,268 @@ async function exportROFToPDF() {
   }
 }
 
+/**
+ * Re-render a chart in print colors (white background, black text)
+ * @returns {Promise<string>} PNG data URL
+ */
+async function printableChartImage(chart, width, height) {
+  const bgDiv = document.createElement('div');
+  bgDiv.style.cssText = `position:absolute; left:-9999px; width:${width}px; height:${height}px;`;
+  document.body.appendChild(bgDiv);
+
+  const printAxis = (axis) => ({
+    ...axis,
+    gridcolor: '#eeeeee',
+    linecolor: '#000000',
+    tickfont: { color: '#000000', size: 10 },
+    title: { ...axis?.title, font: { color: '#000000', size: 12, weight: 'bold' } }
+  });
+  const layout = {
+    ...chart.layout,
+    height,
+    paper_bgcolor: '#ffffff',
+    plot_bgcolor: '#ffffff',
+    font: { color: '#000000', family: 'Arial, sans-serif' },
+    xaxis: printAxis(chart.layout.xaxis),
+    yaxis: printAxis(chart.layout.yaxis),
+    annotations: (chart.layout.annotations || []).map(a => ({ ...a, font: { ...a.font, color: '#000000' } })),
+    legend: { ...chart.layout.legend, font: { color: '#000000', size: 10 }, bgcolor: 'rgba(255,255,255,0)' }
+  };
+
+  try {
+    await Plotly.newPlot(bgDiv, chart.data, layout, { displayModeBar: false });
+    return await Plotly.toImage(bgDiv, { format: 'png', width, height });
+  } finally {
+    Plotly.purge(bgDiv);
+    document.body.removeChild(bgDiv);
+  }
+}
+
+/**
+ * Export the full analysis session (results, parameters, notes, shot edits) as JSON
+ */
+function exportROFToJSON() {
+  if (!detector || !currentResults) return;
+
+  const session = createSession({
+    results: currentResults,
+    shotTimes: detector.shotTimes,
+    manualEdits,
+    buildNotes: buildDetailsInput.value.trim(),
+    waveform: visualizer ? visualizer.getWaveform(detector, currentResults) : null,
+  });
+
+  const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+  downloadBlob(blob, `${getROFFileName()}.json`);
+}
+
+/**
+ * Export every detected shot (time, burst, interval, instantaneous RPM) as CSV
+ */
+function exportShotsToCSV() {
+  if (!detector || !currentResults) return;
+  const { headers, rows } = buildShotTable(detector.shotTimes, currentResults.bursts);
+  const blob = new Blob([toCSV(headers, rows)], { type: 'text/csv' });
+  downloadBlob(blob, `${getROFFileName()}_shots.csv`);
+}
+
+/**
+ * Export the per-burst statistics table as CSV
+ */
+function exportBurstsToCSV() {
+  if (!currentResults) return;
+  const { headers, rows } = buildBurstTable(currentResults.bursts);
+  const blob = new Blob([toCSV(headers, rows)], { type: 'text/csv' });
+  downloadBlob(blob, `${getROFFileName()}_bursts.csv`);
+}
+
+function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = URL.createObjectURL(blob);
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Restore a session exported by exportROFToJSON (no media or FFmpeg needed)
+ */
+async function importSession(file) {
+  cleanup();
+  currentFile = null;
+
+  try {
+    const session = parseSession(await file.text());
+    // Sessions from older versions lack newer parameters; fill in the defaults
+    const params = { ...new RateOfFireDetector().getParameters(), ...session.parameters };
+    burstEdits = normalizeBurstEdits(params.burstEdits);
+    params.burstEdits = burstEdits;
+    editHistory.clear();
+
+    detectionModeInput.value = params.detectionMode;
+    thresholdModeInput.value = params.thresholdMode;
+    peakThresholdInput.value = params.peakThresholdStd;
+    thresholdWindowInput.value = params.thresholdWindow;
+    thresholdPercentileInput.value = params.thresholdPercentile;
+    minShotSpacingInput.value = params.minShotSpacing;
+    timingModeInput.value = params.timingMode;
+    burstGapThresholdInput.value = params.burstGapThreshold;
+    windowSizeInput.value = params.windowSize;
+    envelopeMethodInput.value = params.envelopeMethod;
+    filterTypeInput.value = params.filterType;
+    filterFrequencyInput.value = params.filterFrequency;
+    filterQInput.value = params.filterQ;
+    minPeakProminenceInput.value = params.minPeakProminence;
+    minBurstCountInput.value = params.minBurstCount;
+    rateMismatchInput.value = params.rateMismatchPercent;
+    updateChannelOptions(session.results.channels?.count ?? 1);
+    channelInput.value = params.channelMode === 'single' ? String(params.channel) : params.channelMode;
+    compareChannelsInput.value = params.compareChannels ? 'on' : 'off';
+    regionStartInput.value = params.regionStart || '';
+    regionEndInput.value = params.regionEnd || '';
+    buildDetailsInput.value = session.buildNotes;
+
+    detector = new RateOfFireDetector(params);
+    detector.sampleRate = session.results.sampleRate;
+    detector.shotTimes = session.shotTimes.slice();
+    manualEdits = session.manualEdits;
+
+    currentResults = { ...session.results, waveform: session.waveform };
+    await rebuildResultsFromShots();
+
+    rofResults.classList.add('active');
+    await showResults();
+  } catch (err) {
+    showError('Error importing session: ' + err.message);
+  }
+}
+
+// ── Recording Comparison ───────────────────────────────────────
+/**
+ * Add the current analysis to the comparison, replacing an earlier entry for
+ * the same file and build notes
+ */
+function addToComparison() {
+  if (!currentResults) return;
+  const entry = createComparisonEntry(currentResults, buildDetailsInput.value.trim());
+  const existing = comparisonEntries.findIndex(e => e.inputFile === entry.inputFile && e.notes === entry.notes);
+  if (existing !== -1) comparisonEntries[existing] = entry;
+  else comparisonEntries.push(entry);
+  displayComparison();
+}
+
+function removeFromComparison(index) {
+  comparisonEntries.splice(index, 1);
+  displayComparison();
+}
+
+function clearComparison() {
+  comparisonEntries = [];
+  displayComparison();
+}
+
+/**
+ * Comparison table rows: color, summary columns, then the build notes
+ */
+function comparisonRows() {
+  return comparisonEntries.map(entry => [
+    ...SUMMARY_COLUMNS.map(c => escapeHTML(c.value(entry))),
+    escapeHTML(entry.notes || '—'),
+  ]);
+}
+
+function displayComparison() {
+  const hasEntries = comparisonEntries.length > 0;
+  comparisonSection.classList.toggle('active', hasEntries);
+  if (!hasEntries) {
+    Plotly.purge(comparisonHistogram);
+    Plotly.purge(comparisonRateChart);
+    comparisonTable.innerHTML = '';
+    return;
+  }
+
+  const headers = [...SUMMARY_COLUMNS.map(c => c.header), 'Build Notes'];
+  const rows = comparisonRows().map((cells, i) => `
+    <tr>
+      <td><span class="f3ds-rof-comparison-swatch" style="background: ${getBurstColor(i)};"></span></td>
+      ${cells.map(cell => `<td>${cell}</td>`).join('')}
+      <td><button type="button" class="f3ds-rof-burst-action f3ds-rof-comparison-remove" data-index="${i}">Remove</button></td>
+    </tr>
+  `);
+  comparisonTable.innerHTML = `
+    <thead><tr><th></th>${headers.map(h => `<th>${h}</th>`).join('')}<th></th></tr></thead>
+    <tbody>${rows.join('')}</tbody>
+  `;
+
+  renderComparisonCharts(comparisonEntries, comparisonHistogram, comparisonRateChart);
+}
+
+function onComparisonTableClick(e) {
+  const removeBtn = e.target.closest('.f3ds-rof-comparison-remove');
+  if (removeBtn) removeFromComparison(parseInt(removeBtn.dataset.index));
+}
+
+/**
+ * Export the comparison table and overlaid charts as a printable PDF
+ */
+async function exportComparisonToPDF() {
+  if (comparisonEntries.length === 0) return;
+
+  const [histogramImage, rateImage] = [
+    await printableChartImage(comparisonHistogram, 600, 320),
+    await printableChartImage(comparisonRateChart, 600, 320),
+  ];
+
+  const cellStyle = 'padding: 6px 8px; border-bottom: 0.5pt solid #cccccc; text-align: right;';
+  const headers = [...SUMMARY_COLUMNS.map(c => c.header), 'Build Notes'];
+  const rows = comparisonRows().map((cells, i) => `
+    <tr>
+      <td style="${cellStyle}"><span style="display: inline-block; width: 12px; height: 12px; background: ${getBurstColor(i)};"></span></td>
+      ${cells.map(cell => `<td style="${cellStyle}">${cell}</td>`).join('')}
+    </tr>
+  `);
+
+  const container = document.createElement('div');
+  container.style.cssText = 'position: absolute; left: -9999px; width: 1000px; padding: 40px; background: #ffffff; color: #000000; font-family: Arial, sans-serif;';
+  container.innerHTML = `
+    <div style="padding: 0 0 15px 0; margin-bottom: 25px; border-bottom: 2pt solid #000000;">
+      <div style="font-size: 18pt; font-weight: 800; color: #1a1a1a;">F3DS RATE OF FIRE ANALYZER</div>
+      <div style="font-size: 10pt; color: #4B90FF;">www.F3DS.com</div>
+    </div>
+    <div style="text-align: center; font-size: 16pt; margin: 0 0 20px 0; font-weight: 800;">RECORDING COMPARISON</div>
+    <table style="width: 100%; border-collapse: collapse; font-size: 10pt; margin-bottom: 25px;">
+      <thead><tr><th style="${cellStyle}"></th>${headers.map(h => `<th style="${cellStyle}">${h}</th>`).join('')}</tr></thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>
+    <div style="display: flex; gap: 20px;">
+      <img src="${histogramImage}" style="width: 50%; height: auto;">
+      <img src="${rateImage}" style="width: 50%; height: auto;">
+    </div>
+  `;
+  document.body.appendChild(container);
+
+  try {
+    const canvas = await html2canvas(container, {
+      scale: 2,
+      backgroundColor: "#ffffff",
+      useCORS: true
+    });
+
+    const doc = new jsPDF('p', 'mm', 'a4');
+    const leftMargin = 25.4;  // 1.0" Gutter
+    const rightMargin = 12.7; // 0.5" Edge
+    const topMargin = 12.7;   // 0.5" Top
+    const printableWidth = doc.internal.pageSize.getWidth() - leftMargin - rightMargin;
+    const scaledHeight = (canvas.height * printableWidth) / canvas.width;
+    doc.addImage(canvas.toDataURL('image/png'), 'PNG', leftMargin, topMargin, printableWidth, scaledHeight);
+    doc.save(`${getROFFileName()}_comparison.pdf`);
+  } catch (err) {
+    console.error("Comparison PDF export failed:", err);
+  } finally {
+    document.body.removeChild(container);
+  }
+}
+
 function getROFFileName() {
   const now = new Date();
   const mm = String(now.getMonth() + 1).padStart(2, '0');
@@ -597,24 +1751,61 @@ rofControlsHeader.addEventListener('click', () => {
   rofControlsToggle.classList.toggle('expanded', !isExpanded);
 });
 
-[peakThresholdInput, minShotSpacingInput, burstGapThresholdInput, windowSizeInput, minPeakProminenceInput, minBurstCountInput]
+[peakThresholdInput, minShotSpacingInput, burstGapThresholdInput, windowSizeInput, minPeakProminenceInput, minBurstCountInput,
+  filterFrequencyInput, filterQInput, thresholdWindowInput, thresholdPercentileInput, rateMismatchInput,
+  regionStartInput, regionEndInput]
   .forEach(input => {
     input.addEventListener('input', scheduleReanalysis);
     input.addEventListener('blur', scheduleReanalysis);
   });
 
+[detectionModeInput, envelopeMethodInput, filterTypeInput, thresholdModeInput, timingModeInput, channelInput, compareChannelsInput]
+  .forEach(select => select.addEventListener('change', scheduleReanalysis));
+
 dropZone.addEventListener('click', () => fileInput.click());
 dropZone.addEventListener('dragover', (e) => { e.preventDefault(); dropZone.classList.add('drag-over'); });
 dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
 dropZone.addEventListener('drop', (e) => {
   e.preventDefault();
   dropZone.classList.remove('drag-over');
-  handleFile(e.dataTransfer.files[0]);
+  handleFiles(e.dataTransfer.files);
+});
+fileInput.addEventListener('change', (e) => handleFiles(e.target.files));
+
+cancelBtn.addEventListener('click', cancelAnalysis);
+
+rofBursts.addEventListener('click', (e) => {
+  const fixBtn = e.target.closest('.f3ds-rof-anomaly-fix');
+  if (fixBtn) acceptSuggestedFix(fixBtn.dataset.action, parseFloat(fixBtn.dataset.time));
+  onBurstAction(e);
+  onBurstCardClick(e);
 });
-fileInput.addEventListener('change', (e) => handleFile(e.target.files[0]));
+rofBursts.addEventListener('change', onBurstAction);
+// toggle doesn't bubble; listen in the capture phase
+rofBursts.addEventListener('toggle', onBurstDetailToggle, true);
+document.addEventListener('keydown', onBurstNavigationKey);
+autoTuneBtn.addEventListener('click', runAutoTune);
+selectRegionBtn.addEventListener('click', toggleRegionSelect);
+clearRegionBtn.addEventListener('click', clearRegion);
+spectrogramBtn.addEventListener('click', toggleSpectrogram);
+undoBtn.addEventListener('click', undoEdit);
+redoBtn.addEventListener('click', redoEdit);
+resetEditsBtn.addEventListener('click', resetToAutoDetected);
+document.addEventListener('keydown', onEditShortcut);
+playPauseBtn.addEventListener('click', togglePlayback);
+playbackBurstInput.addEventListener('change', onPlaybackBurstChange);
+loopPlaybackBtn.addEventListener('click', toggleLoopPlayback);
+playbackRateInput.addEventListener('change', onPlaybackSettingChange);
 
 exportPngBtn.addEventListener('click', exportROFToPNG);
 exportPdfBtn.addEventListener('click', exportROFToPDF);
+exportJsonBtn.addEventListener('click', exportROFToJSON);
+addComparisonBtn.addEventListener('click', addToComparison);
+comparisonTable.addEventListener('click', onComparisonTableClick);
+exportComparisonPdfBtn.addEventListener('click', exportComparisonToPDF);
+clearComparisonBtn.addEventListener('click', clearComparison);
+exportShotsCsvBtn.addEventListener('click', exportShotsToCSV);
+exportBurstsCsvBtn.addEventListener('click', exportBurstsToCSV);
 
 document.getElementById('f3ds-rof-build-details').addEventListener('input', (e) => {
   const val = e.target.value.trim();
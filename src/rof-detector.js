@@ -4,27 +4,202 @@
  */
 
 import * as signal from './signal-processing.js';
+import { mixToMono } from './wav-decoder.js';
+
+// Parameters each memoized stage depends on. A stage is only recomputed when
+// one of its own parameters (or an upstream stage) changes.
+const CHANNEL_PARAMS = ['channelMode', 'channel'];
+const REGION_PARAMS = ['regionStart', 'regionEnd'];
+const FILTER_PARAMS = ['filterType', 'filterFrequency', 'filterQ'];
+const ENVELOPE_PARAMS = ['detectionMode', 'envelopeMethod', 'windowSize'];
+// The onset functions (flux, hfc) ignore the envelope method and window
+const ONSET_PARAMS = ['detectionMode'];
+const PEAK_PARAMS = [
+  'thresholdMode', 'peakThresholdStd', 'thresholdWindow', 'thresholdPercentile', 'minShotSpacing', 'minPeakProminence'
+];
+
+/**
+ * Envelope shapes, each smoothed over windowSize:
+ * - rectified: moving average of |x| (sharpest leading edge)
+ * - hilbert: analytic-signal magnitude (smooth, follows the carrier's amplitude)
+ * - rms: root of the moving average of x² (weights loud transients over reverb tails)
+ * - energy: moving average of x² (strongest contrast between shots and background)
+ */
+export const ENVELOPE_METHODS = ['rectified', 'hilbert', 'rms', 'energy'];
+
+/**
+ * Detection functions peaks are picked from:
+ * - envelope: the smoothed amplitude envelope (see ENVELOPE_METHODS)
+ * - flux: spectral flux onset function (energy rising across the spectrum)
+ * - hfc: high-frequency content onset function
+ * Onset functions separate shots that merge into one envelope at very high
+ * rates or with heavy echo.
+ */
+export const DETECTION_MODES = ['envelope', 'flux', 'hfc'];
+
+// STFT frame and hop for the onset functions (~11.6ms frames, ~2.9ms hops at 44.1kHz)
+const ONSET_FRAME_SIZE = 512;
+const ONSET_HOP_SIZE = 128;
+
+/**
+ * Peak height thresholds:
+ * - global: mean + peakThresholdStd · std of the whole envelope
+ * - median: rolling median + peakThresholdStd · MAD (scaled to σ) over thresholdWindow
+ * - percentile: rolling thresholdPercentile-th percentile over thresholdWindow
+ */
+export const THRESHOLD_MODES = ['global', 'median', 'percentile'];
+
+// Rolling thresholds are evaluated at this many points per window, then interpolated
+const THRESHOLD_STEPS_PER_WINDOW = 100;
+
+// Points kept in the envelope/threshold curve returned for plotting
+const THRESHOLD_CURVE_POINTS = 4000;
+
+// Envelope rate the per-burst autocorrelation runs at (block-averaged down)
+const ACF_SAMPLE_RATE = 4000;
+
+// Autocorrelation below this at the chosen lag means the burst has no clear cycle
+const ACF_MIN_CORRELATION = 0.1;
+
+// A peak at a fraction of the best lag this strong (relative) is the true cycle,
+// not a harmonic
+const ACF_SUBHARMONIC_RATIO = 0.8;
+
+// An interval within this relative distance of 2× the burst median suggests a
+// missed shot; two consecutive intervals summing to ~1× the median, the first
+// of them short, suggest a double trigger (echo counted as a shot)
+const ANOMALY_TOLERANCE = 0.25;
+
+// MAD → standard deviation for normally distributed noise
+const MAD_TO_STD = 1.4826;
+
+/**
+ * How a detected peak becomes a shot time:
+ * - peak: the envelope maximum's sample index
+ * - interpolated: the envelope maximum refined with a parabola through its neighbours
+ * - onset: the leading edge, where the envelope rises through ONSET_LEVEL of the
+ *   way from the preceding floor to the peak
+ */
+export const TIMING_MODES = ['peak', 'interpolated', 'onset'];
+
+// Fraction of the rise (floor → peak) at which the onset time is taken
+const ONSET_LEVEL = 0.5;
+
+/**
+ * Which channel of a multi-channel recording is analyzed:
+ * - mix: average of all channels (FFmpeg's -ac 1 downmix)
+ * - best: the channel with the highest transient SNR (see signal.transientSNR)
+ * - single: the channel numbered `channel` (1-based)
+ * Mono recordings ignore the setting.
+ */
+export const CHANNEL_MODES = ['mix', 'best', 'single'];
+
+// Block length the transient SNR channel score is measured over
+const SNR_BLOCK_SECONDS = 0.01;
+
+/**
+ * Fill in any missing lists of a burstEdits object (older sessions, partial edits).
+ * Edits are anchored to times (seconds) rather than burst numbers so they keep
+ * applying when re-detection shifts or renumbers bursts:
+ * - splits: a time between two shots; a burst boundary is forced there
+ * - merges: {from, to} ranges; every gap overlapping one stays inside a burst
+ * - excluded: times inside bursts left out of the summary statistics
+ * - labels: {time, label}; the burst containing the time carries the label
+ */
+export function normalizeBurstEdits(edits = null) {
+  return {
+    splits: edits?.splits ?? [],
+    merges: edits?.merges ?? [],
+    excluded: edits?.excluded ?? [],
+    labels: edits?.labels ?? []
+  };
+}
+
+// Pre-filter applied before the envelope ('none' passes the audio through)
+export const FILTER_TYPES = ['none', 'highpass', 'lowpass', 'bandpass', 'notch'];
 
 export class RateOfFireDetector {
   constructor(options = {}) {
     // Detection parameters
     this.peakThresholdStd = options.peakThresholdStd ?? 1.2;
+    this.thresholdMode = options.thresholdMode ?? 'global';
+    this.thresholdWindow = options.thresholdWindow ?? 1.0;
+    this.thresholdPercentile = options.thresholdPercentile ?? 95;
     this.minShotSpacing = options.minShotSpacing ?? 0.05;
+    this.timingMode = options.timingMode ?? 'peak';
     this.burstGapThreshold = options.burstGapThreshold ?? 0.2;
     this.windowSize = options.windowSize ?? 0.002;
+    this.envelopeMethod = options.envelopeMethod ?? 'rectified';
+    this.detectionMode = options.detectionMode ?? 'envelope';
+    this.filterType = options.filterType ?? 'none';
+    this.filterFrequency = options.filterFrequency ?? 1000;
+    this.filterQ = options.filterQ ?? 0.707;
     this.minPeakProminence = options.minPeakProminence ?? 0.1;
     this.minBurstCount = options.minBurstCount ?? 5;
+    this.rateMismatchPercent = options.rateMismatchPercent ?? 5;
+    this.channelMode = options.channelMode ?? 'mix';
+    this.channel = options.channel ?? 1;
+    this.compareChannels = options.compareChannels ?? false;
+    // Region of interest in source-file seconds; regionEnd 0 means the end of the recording
+    this.regionStart = options.regionStart ?? 0;
+    this.regionEnd = options.regionEnd ?? 0;
+    this.burstEdits = normalizeBurstEdits(options.burstEdits);
 
     // Analysis results
     this.sampleRate = null;
+    this.channelData = null;
+    this.channelSNR = null;
+    this.selectedChannel = null;
     this.audioData = null;
+    // Source-file time of the first loaded sample (audio extracted from a region)
+    this.audioOffset = 0;
+    // Source-file time of the first analyzed (region) sample; envelope index 0
+    this.timeOffset = 0;
+    this.regionAudio = null;
+    this.filteredAudio = null;
     this.envelope = null;
     this.shotTimes = [];
     this.bursts = [];
+
+    // Memoized stage outputs, keyed by the parameters that produced them
+    this.clearStageCache();
   }
 
   /**
-   * Extract audio from video/audio file using ffmpeg to mono WAV
+   * Update detection parameters in place, keeping memoized stage outputs
+   * that the changed parameters don't affect
+   * @param {Object} params - Any subset of the constructor options
+   */
+  setParameters(params = {}) {
+    for (const key of Object.keys(this.getParameters())) {
+      if (params[key] !== undefined && params[key] !== null) this[key] = params[key];
+    }
+  }
+
+  /**
+   * Cache key for a stage: its own parameters plus the upstream stage's key
+   */
+  stageKey(paramNames, upstreamKey = '') {
+    return upstreamKey + '|' + paramNames.map(name => this[name]).join(',');
+  }
+
+  /**
+   * Parameters the envelope stage reads in the current detection mode
+   */
+  envelopeParams() {
+    return this.detectionMode === 'envelope' ? ENVELOPE_PARAMS : ONSET_PARAMS;
+  }
+
+  clearStageCache() {
+    this.envelope = null;
+    this.stageCache = {
+      channelKey: null, regionKey: null, filterKey: null, envelopeKey: null, peaksKey: null, peaks: null,
+      channelShotsKey: null, channelShots: null
+    };
+  }
+
+  /**
+   * Extract audio from video/audio file using ffmpeg to WAV, keeping every channel
    * @param {File} file - The input file
    * @param {FFmpeg} ffmpeg - The FFmpeg instance
    * @param {Function} onProgress - Progress callback
@@ -32,14 +207,25 @@ export class RateOfFireDetector {
   async extractAudio(file, ffmpeg, onProgress = null) {
     if (onProgress) onProgress('Extracting audio...');
 
+    if (this.regionEnd > 0 && this.regionEnd <= this.regionStart) {
+      throw new Error('Region end must be after region start');
+    }
+
     // Write input file
     const fileData = await file.arrayBuffer();
     await ffmpeg.writeFile('input', new Uint8Array(fileData));
 
-    // Extract to mono, 44.1kHz WAV
+    // Only decode the region of interest; seeking before -i skips the rest
+    // of the file, and -t (not -to) because input seeking resets timestamps
+    const regionArgs = [];
+    if (this.regionStart > 0) regionArgs.push('-ss', String(this.regionStart));
+    const trimArgs = this.regionEnd > 0 ? ['-t', String(this.regionEnd - this.regionStart)] : [];
+
+    // Extract to 44.1kHz WAV; channels are kept so they can be compared or picked
     await ffmpeg.exec([
+      ...regionArgs,
       '-i', 'input',
-      '-ac', '1',        // mono
+      ...trimArgs,
       '-ar', '44100',    // 44.1kHz
       '-f', 'wav',       // WAV format
       '-y',              // overwrite
@@ -57,20 +243,168 @@ export class RateOfFireDetector {
     this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
     const audioBuffer = await this.audioContext.decodeAudioData(wavData.buffer);
 
-    // Get the first channel (mono)
-    this.sampleRate = audioBuffer.sampleRate;
-    this.audioData = audioBuffer.getChannelData(0); // Float32Array, normalized to [-1, 1]
-
-    const duration = this.audioData.length / this.sampleRate;
-    console.log(`Audio loaded: ${duration.toFixed(2)} seconds, ${this.sampleRate}Hz`);
-
-    if (onProgress) onProgress(`Audio loaded: ${duration.toFixed(2)}s at ${this.sampleRate}Hz`);
+    // Every channel, normalized to [-1, 1]
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      channels.push(audioBuffer.getChannelData(c));
+    }
+    const audioInfo = this.loadAudio(channels, audioBuffer.sampleRate, onProgress, Math.max(this.regionStart, 0));
 
     // Clean up FFmpeg FS
     await ffmpeg.deleteFile('input');
     await ffmpeg.deleteFile('output.wav');
 
-    return { duration, sampleRate: this.sampleRate };
+    return audioInfo;
+  }
+
+  /**
+   * Load already-decoded samples (no browser or FFmpeg required)
+   * @param {Float32Array|Array<Float32Array>} audioData - Mono samples, or one array
+   *   per channel, normalized to [-1, 1]
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Function} onProgress - Progress callback
+   * @param {number} offset - Source-file time (s) of the first sample, when only
+   *   part of the recording was decoded
+   */
+  loadAudio(audioData, sampleRate, onProgress = null, offset = 0) {
+    // A list of sample arrays is a multi-channel recording; a plain number list is mono
+    const channels = Array.isArray(audioData) && typeof audioData[0] !== 'number' ? audioData : [audioData];
+    if (!channels[0] || !channels[0].length) {
+      throw new Error('Audio data is empty');
+    }
+    if (channels.some(c => !c || c.length !== channels[0].length)) {
+      throw new Error('All channels must have the same length');
+    }
+    if (!(sampleRate > 0)) {
+      throw new Error('Sample rate must be a positive number');
+    }
+
+    this.sampleRate = sampleRate;
+    this.audioOffset = offset;
+    // Keep the caller's array when possible so it can recognize the loaded audio
+    this.channelData = channels.every(c => c instanceof Float32Array)
+      ? channels
+      : channels.map(c => (c instanceof Float32Array ? c : Float32Array.from(c)));
+    this.channelSNR = null;
+    this.audioData = null;
+    this.clearStageCache();
+    this.shotTimes = [];
+    this.bursts = [];
+
+    const duration = this.channelData[0].length / this.sampleRate;
+    const channelCount = this.channelData.length;
+    console.log(`Audio loaded: ${duration.toFixed(2)} seconds, ${this.sampleRate}Hz, ${channelCount} channel(s)`);
+
+    if (onProgress) onProgress(`Audio loaded: ${duration.toFixed(2)}s at ${this.sampleRate}Hz`);
+
+    return { duration, sampleRate: this.sampleRate, channels: channelCount, offset };
+  }
+
+  /**
+   * Crop the selected channel to the region of interest (regionAudio) so
+   * setup noise outside it never reaches the envelope or its statistics.
+   * Runs after selectChannel; returns the stage key.
+   */
+  selectRegion() {
+    const regionKey = this.stageKey(REGION_PARAMS, this.selectChannel());
+    if (this.regionAudio && this.stageCache.regionKey === regionKey) return regionKey;
+
+    const length = this.audioData.length;
+    const start = Math.max(Math.round((this.regionStart - this.audioOffset) * this.sampleRate), 0);
+    const end = this.regionEnd > 0
+      ? Math.min(Math.round((this.regionEnd - this.audioOffset) * this.sampleRate), length)
+      : length;
+    if (!(end > start)) {
+      const endLabel = this.regionEnd > 0 ? `${this.regionEnd}s` : 'end';
+      throw new Error(`Region ${this.regionStart}s–${endLabel} is empty or outside the recording`);
+    }
+
+    this.regionAudio = start === 0 && end === length ? this.audioData : this.audioData.subarray(start, end);
+    this.timeOffset = this.audioOffset + start / this.sampleRate;
+    this.stageCache.regionKey = regionKey;
+
+    if (this.regionAudio !== this.audioData) {
+      console.log(`Analyzing region ${this.timeOffset.toFixed(2)}–${(this.timeOffset + (end - start) / this.sampleRate).toFixed(2)}s`);
+    }
+    return regionKey;
+  }
+
+  /**
+   * Source-file time (s) of an envelope sample position
+   */
+  indexToTime(idx) {
+    return idx / this.sampleRate + this.timeOffset;
+  }
+
+  /**
+   * Envelope sample position (fractional) of a source-file time
+   */
+  timeToIndex(time) {
+    return (time - this.timeOffset) * this.sampleRate;
+  }
+
+  /**
+   * Pick the analyzed samples (audioData) from the loaded channels per
+   * channelMode. Runs at the start of applyFilter and is memoized like the
+   * other stages; returns the stage key.
+   */
+  selectChannel() {
+    if (!this.channelData) {
+      throw new Error('Must load audio first');
+    }
+
+    const channelKey = this.stageKey(CHANNEL_PARAMS);
+    if (this.audioData && this.stageCache.channelKey === channelKey) return channelKey;
+
+    if (!CHANNEL_MODES.includes(this.channelMode)) {
+      throw new Error(`Unknown channel mode: ${this.channelMode}`);
+    }
+
+    const count = this.channelData.length;
+    if (count === 1) {
+      this.audioData = this.channelData[0];
+      this.selectedChannel = 1;
+    } else if (this.channelMode === 'mix') {
+      this.audioData = mixToMono(this.channelData);
+      this.selectedChannel = null;
+    } else {
+      let index = this.channel - 1;
+      if (this.channelMode === 'best') {
+        const snr = this.getChannelSNR();
+        index = snr.indexOf(Math.max(...snr));
+      }
+      if (!(index >= 0 && index < count)) {
+        throw new Error(`Channel ${this.channel} not available (recording has ${count})`);
+      }
+      this.audioData = this.channelData[index];
+      this.selectedChannel = index + 1;
+      console.log(`Analyzing channel ${index + 1} of ${count}`);
+    }
+    this.stageCache.channelKey = channelKey;
+
+    return channelKey;
+  }
+
+  /**
+   * Transient SNR (dB) of every loaded channel, computed once per load
+   */
+  getChannelSNR() {
+    if (!this.channelSNR) {
+      const blockSize = Math.max(Math.round(SNR_BLOCK_SECONDS * this.sampleRate), 1);
+      this.channelSNR = this.channelData.map(c => signal.transientSNR(c, blockSize));
+    }
+    return this.channelSNR;
+  }
+
+  /**
+   * AudioContext for playback: the one extractAudio decoded with, or a new one
+   * when the samples were loaded from a cached decode. Browser only.
+   */
+  getAudioContext() {
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return this.audioContext;
   }
 
   /**
@@ -85,115 +419,338 @@ export class RateOfFireDetector {
       }
       this.audioContext = null;
     }
+    this.channelData = null;
+    this.channelSNR = null;
     this.audioData = null;
-    this.envelope = null;
+    this.regionAudio = null;
+    this.clearStageCache();
     this.shotTimes = [];
     this.bursts = [];
   }
 
   /**
-   * Calculate audio envelope using minimal smoothing to preserve transients
+   * Band-limit the audio before envelope detection (wind, voices, mechanism noise)
    */
-  calculateEnvelope(onProgress = null) {
-    if (onProgress) onProgress('Calculating audio envelope...');
+  applyFilter(onProgress = null) {
+    if (onProgress) onProgress('Filtering audio...', 0);
 
-    if (!this.audioData || !this.sampleRate) {
+    if (!this.channelData || !this.sampleRate) {
       throw new Error('Must call extractAudio first');
     }
 
+    const filterKey = this.stageKey(FILTER_PARAMS, this.selectRegion());
+    if (this.filteredAudio && this.stageCache.filterKey === filterKey) {
+      if (onProgress) onProgress('Filter unchanged', 10);
+      return;
+    }
+
+    if (!FILTER_TYPES.includes(this.filterType)) {
+      throw new Error(`Unknown filter type: ${this.filterType}`);
+    }
+
+    if (this.filterType === 'none') {
+      this.filteredAudio = this.regionAudio;
+    } else {
+      const coeffs = signal.biquadCoefficients(this.filterType, this.filterFrequency, this.sampleRate, this.filterQ);
+      this.filteredAudio = signal.biquadFilter(this.regionAudio, coeffs);
+      console.log(`Applied ${this.filterType} filter at ${this.filterFrequency}Hz (Q ${this.filterQ})`);
+    }
+    this.stageCache.filterKey = filterKey;
+
+    if (onProgress) onProgress('Filter applied', 10);
+  }
+
+  /**
+   * Calculate audio envelope (shape set by envelopeMethod) using minimal smoothing to preserve transients
+   */
+  calculateEnvelope(onProgress = null) {
+    if (onProgress) onProgress('Calculating audio envelope...', 10);
+
+    if (!this.filteredAudio || !this.sampleRate) {
+      throw new Error('Must call applyFilter first');
+    }
+
+    const envelopeKey = this.stageKey(this.envelopeParams(), this.stageCache.filterKey);
+    if (this.envelope && this.stageCache.envelopeKey === envelopeKey) {
+      if (onProgress) onProgress('Envelope unchanged', 40);
+      return;
+    }
+
+    if (!DETECTION_MODES.includes(this.detectionMode)) {
+      throw new Error(`Unknown detection mode: ${this.detectionMode}`);
+    }
+    if (!ENVELOPE_METHODS.includes(this.envelopeMethod)) {
+      throw new Error(`Unknown envelope method: ${this.envelopeMethod}`);
+    }
+
+    if (this.detectionMode !== 'envelope') {
+      this.envelope = this.calculateOnsetFunction();
+      this.stageCache.envelopeKey = envelopeKey;
+
+      console.log(`Onset function calculated (${this.detectionMode})`);
+      if (onProgress) onProgress('Onset function calculated', 40);
+      return;
+    }
+
     // For high-rate automatic fire, we need minimal smoothing
     // Use a very short window (1-2ms) to preserve individual shot peaks
     const windowSamples = Math.max(Math.floor(this.windowSize * this.sampleRate), 1);
 
-    // Use absolute value
-    const absAudio = signal.abs(this.audioData);
-
-    // Apply minimal smoothing
-    if (windowSamples > 1) {
-      const window = signal.divide(signal.ones(windowSamples), windowSamples);
-      this.envelope = signal.convolve(absAudio, window, 'same');
-    } else {
-      this.envelope = absAudio;
+    switch (this.envelopeMethod) {
+      case 'hilbert':
+        this.envelope = signal.movingAverage(signal.hilbertEnvelope(this.filteredAudio), windowSamples);
+        break;
+      case 'rms':
+        this.envelope = signal.sqrt(signal.movingAverage(signal.square(this.filteredAudio), windowSamples));
+        break;
+      case 'energy':
+        this.envelope = signal.movingAverage(signal.square(this.filteredAudio), windowSamples);
+        break;
+      default:
+        this.envelope = signal.movingAverage(signal.abs(this.filteredAudio), windowSamples);
     }
+    this.stageCache.envelopeKey = envelopeKey;
 
-    console.log('Envelope calculated');
-    if (onProgress) onProgress('Envelope calculated');
+    console.log(`Envelope calculated (${this.envelopeMethod})`);
+    if (onProgress) onProgress('Envelope calculated', 40);
+  }
+
+  /**
+   * Spectral onset function, interpolated back to one value per audio sample
+   * so peak picking, thresholds and shot times work exactly as for the envelope
+   */
+  calculateOnsetFunction() {
+    const onset = this.detectionMode === 'flux'
+      ? signal.spectralFlux(this.filteredAudio, ONSET_FRAME_SIZE, ONSET_HOP_SIZE)
+      : signal.highFrequencyContent(this.filteredAudio, ONSET_FRAME_SIZE, ONSET_HOP_SIZE);
+
+    // Each frame's value is placed at its window center
+    const offset = ONSET_FRAME_SIZE / 2;
+    const result = new Float32Array(this.filteredAudio.length);
+    for (let i = 0; i < result.length; i++) {
+      const position = Math.max(i - offset, 0) / ONSET_HOP_SIZE;
+      const j = Math.min(Math.floor(position), onset.length - 1);
+      const next = Math.min(j + 1, onset.length - 1);
+      result[i] = onset[j] + (onset[next] - onset[j]) * (position - j);
+    }
+    return result;
   }
 
   /**
    * Detect gunshot peaks in the envelope using adaptive thresholding
    */
   detectPeaks(onProgress = null) {
-    if (onProgress) onProgress('Detecting gunshot peaks...');
+    if (onProgress) onProgress('Detecting gunshot peaks...', 40);
 
     if (!this.envelope || !this.sampleRate) {
       throw new Error('Must call calculateEnvelope first');
     }
 
-    // Calculate adaptive threshold
-    const meanLevel = signal.mean(this.envelope);
-    const stdLevel = signal.std(this.envelope);
-    const threshold = meanLevel + this.peakThresholdStd * stdLevel;
+    const peaksKey = this.stageKey(PEAK_PARAMS, this.stageCache.envelopeKey);
+    if (this.stageCache.peaks && this.stageCache.peaksKey === peaksKey) {
+      const { peaks, properties, thresholdCurve } = this.stageCache.peaks;
+      this.shotTimes = this.peakTimes(peaks);
+      if (onProgress) onProgress(`Detected ${this.shotTimes.length} shots`, 85);
+      return { peaks, properties, thresholdCurve };
+    }
 
-    console.log(`Mean level: ${meanLevel.toFixed(4)}, Std: ${stdLevel.toFixed(4)}`);
-    console.log(`Threshold: ${threshold.toFixed(4)}`);
+    // Calculate adaptive threshold (a single level, or one per sample)
+    const threshold = this.calculateThreshold();
 
-    // Minimum distance between peaks in samples
-    const minDistance = Math.floor(this.minShotSpacing * this.sampleRate);
+    // Minimum distance between peaks in samples (findPeaks requires at least 1,
+    // which is no constraint, so a spacing of 0 turns the filter off)
+    const minDistance = Math.max(Math.floor(this.minShotSpacing * this.sampleRate), 1);
 
     // Find peaks with minimum height, distance, and prominence
+    // (findPeaks takes absolute prominence; the parameter is relative to the envelope max)
     const { peaks, properties } = signal.findPeaks(this.envelope, {
       height: threshold,
       distance: minDistance,
-      prominence: this.minPeakProminence
+      prominence: this.minPeakProminence * signal.max(this.envelope)
     });
+    const thresholdCurve = this.buildThresholdCurve(threshold);
 
     // Convert peak indices to times
-    this.shotTimes = peaks.map(idx => idx / this.sampleRate);
+    this.shotTimes = this.peakTimes(peaks);
+    this.stageCache.peaks = { peaks, properties, thresholdCurve };
+    this.stageCache.peaksKey = peaksKey;
 
     console.log(`Detected ${this.shotTimes.length} potential shots`);
-    if (onProgress) onProgress(`Detected ${this.shotTimes.length} shots`);
+    if (onProgress) onProgress(`Detected ${this.shotTimes.length} shots`, 85);
+
+    return { peaks, properties, thresholdCurve };
+  }
 
-    return { peaks, properties };
+  /**
+   * Shot times (seconds) for envelope peak indices, per timingMode
+   * @param {Array<number>} peaks - Peak sample indices
+   */
+  peakTimes(peaks) {
+    if (!TIMING_MODES.includes(this.timingMode)) {
+      throw new Error(`Unknown timing mode: ${this.timingMode}`);
+    }
+    return peaks.map((idx, i) => this.shotTimeAt(idx, i > 0 ? peaks[i - 1] : null));
+  }
+
+  /**
+   * Time of the shot whose envelope peaks at sample idx
+   * @param {number} idx - Peak sample index
+   * @param {number|null} previousPeak - Preceding peak index, bounding the onset search
+   */
+  shotTimeAt(idx, previousPeak = null) {
+    const env = this.envelope;
+
+    if (this.timingMode === 'interpolated' && idx > 0 && idx < env.length - 1) {
+      return this.indexToTime(idx + signal.parabolicPeakOffset(env[idx - 1], env[idx], env[idx + 1]));
+    }
+
+    if (this.timingMode === 'onset') {
+      // Floor: the lowest envelope point since the previous peak (at most one shot spacing back)
+      const searchStart = Math.max(
+        idx - Math.floor(this.minShotSpacing * this.sampleRate),
+        previousPeak !== null ? previousPeak : 0,
+        0
+      );
+      let floor = env[idx];
+      let floorIdx = idx;
+      for (let i = idx - 1; i >= searchStart; i--) {
+        if (env[i] < floor) {
+          floor = env[i];
+          floorIdx = i;
+        }
+      }
+
+      // Walk back from the peak to where the rising edge crosses the onset level
+      const level = floor + ONSET_LEVEL * (env[idx] - floor);
+      for (let i = idx; i > floorIdx; i--) {
+        if (env[i - 1] < level) {
+          return this.indexToTime(i - 1 + (level - env[i - 1]) / (env[i] - env[i - 1]));
+        }
+      }
+    }
+
+    return this.indexToTime(idx);
+  }
+
+  /**
+   * Peak height threshold for the current thresholdMode
+   * @returns {number|Float32Array} A global level, or a per-sample curve for rolling modes
+   */
+  calculateThreshold() {
+    if (!THRESHOLD_MODES.includes(this.thresholdMode)) {
+      throw new Error(`Unknown threshold mode: ${this.thresholdMode}`);
+    }
+
+    if (this.thresholdMode === 'global') {
+      const meanLevel = signal.mean(this.envelope);
+      const stdLevel = signal.std(this.envelope);
+      const threshold = meanLevel + this.peakThresholdStd * stdLevel;
+
+      console.log(`Mean level: ${meanLevel.toFixed(4)}, Std: ${stdLevel.toFixed(4)}`);
+      console.log(`Threshold: ${threshold.toFixed(4)}`);
+      return threshold;
+    }
+
+    // Evaluate the rolling statistic on a decimated envelope, then interpolate
+    // back to full resolution; a 1s median over every sample would be far too slow
+    const windowSamples = Math.max(Math.floor(this.thresholdWindow * this.sampleRate), 1);
+    const hop = Math.max(Math.floor(windowSamples / THRESHOLD_STEPS_PER_WINDOW), 1);
+    const stepCount = Math.ceil(this.envelope.length / hop);
+    const decimated = new Float32Array(stepCount);
+    for (let j = 0; j < stepCount; j++) {
+      decimated[j] = this.envelope[j * hop];
+    }
+
+    const windowSteps = Math.max(Math.round(windowSamples / hop), 1);
+    const statistic = this.thresholdMode === 'median'
+      ? (sorted, count) => signal.percentileOfSorted(sorted, 50, count) +
+        this.peakThresholdStd * MAD_TO_STD * signal.madOfSorted(sorted, count)
+      : (sorted, count) => signal.percentileOfSorted(sorted, this.thresholdPercentile, count);
+    const steps = signal.rollingStatistic(decimated, windowSteps, statistic);
+
+    const threshold = new Float32Array(this.envelope.length);
+    for (let i = 0; i < threshold.length; i++) {
+      const position = i / hop;
+      const j = Math.floor(position);
+      const next = Math.min(j + 1, stepCount - 1);
+      threshold[i] = steps[j] + (steps[next] - steps[j]) * (position - j);
+    }
+
+    console.log(`Rolling ${this.thresholdMode} threshold over ${this.thresholdWindow}s windows: ` +
+      `${signal.min(steps).toFixed(4)}–${signal.max(steps).toFixed(4)}`);
+    return threshold;
+  }
+
+  /**
+   * Downsampled envelope and threshold for plotting. Each point keeps the
+   * envelope maximum of its bucket so no peak disappears from the chart.
+   * @param {number|Float32Array} threshold - From calculateThreshold()
+   * @returns {Object} {time, envelope, threshold} as plain arrays
+   */
+  buildThresholdCurve(threshold) {
+    const n = this.envelope.length;
+    const bucket = Math.max(Math.ceil(n / THRESHOLD_CURVE_POINTS), 1);
+    const curve = { time: [], envelope: [], threshold: [] };
+
+    for (let start = 0; start < n; start += bucket) {
+      const end = Math.min(start + bucket, n);
+      let maxIdx = start;
+      for (let i = start + 1; i < end; i++) {
+        if (this.envelope[i] > this.envelope[maxIdx]) maxIdx = i;
+      }
+      curve.time.push(this.indexToTime(maxIdx));
+      curve.envelope.push(this.envelope[maxIdx]);
+      curve.threshold.push(typeof threshold === 'number' ? threshold : threshold[maxIdx]);
+    }
+
+    return curve;
   }
 
   /**
    * Group shots into bursts and calculate rate-of-fire for each
    */
   groupIntoBursts(onProgress = null) {
-    if (onProgress) onProgress('Grouping shots into bursts...');
+    if (onProgress) onProgress('Grouping shots into bursts...', 85);
+
+    this.bursts = [];
 
     if (this.shotTimes.length === 0) {
       console.log('No shots detected!');
-      if (onProgress) onProgress('No shots detected');
+      if (onProgress) onProgress('No shots detected', 95);
       return;
     }
 
-    this.bursts = [];
+    const { splits, merges } = this.burstEdits;
+    // A burst cut by a manual split only needs two shots to be kept
+    const keepBurst = (burst, manuallySplit) => {
+      if (burst.length >= (manuallySplit ? 2 : this.minBurstCount)) this.bursts.push(burst);
+    };
+
     let currentBurst = [0]; // indices into shotTimes
+    let startsAtSplit = false;
 
     for (let i = 1; i < this.shotTimes.length; i++) {
-      const gap = this.shotTimes[i] - this.shotTimes[i - 1];
+      const previous = this.shotTimes[i - 1];
+      const current = this.shotTimes[i];
+      const split = splits.some(t => t > previous && t <= current);
+      const merged = merges.some(m => m.from < current && m.to > previous);
 
-      if (gap <= this.burstGapThreshold) {
+      if (!split && (current - previous <= this.burstGapThreshold || merged)) {
         // Continue current burst
         currentBurst.push(i);
       } else {
         // End current burst, start new one
-        if (currentBurst.length >= this.minBurstCount) {
-          this.bursts.push(currentBurst);
-        }
+        keepBurst(currentBurst, startsAtSplit || split);
         currentBurst = [i];
+        startsAtSplit = split;
       }
     }
 
     // Don't forget the last burst
-    if (currentBurst.length >= this.minBurstCount) {
-      this.bursts.push(currentBurst);
-    }
+    keepBurst(currentBurst, startsAtSplit);
 
     console.log(`Found ${this.bursts.length} bursts`);
-    if (onProgress) onProgress(`Found ${this.bursts.length} bursts`);
+    if (onProgress) onProgress(`Found ${this.bursts.length} bursts`, 95);
   }
 
   /**
@@ -226,6 +783,15 @@ export class RateOfFireDetector {
       // Median Absolute Deviation (from Median)
       const medianDev = signal.median(intervals.map(i => Math.abs(i - medianInterval)));
 
+      // Independent cycle-rate estimate from the envelope's periodicity;
+      // a missed or doubled peak skews rateRpm but not this
+      const acfRateRpm = this.estimateCycleRate(startTime, endTime);
+      const rateMismatch = acfRateRpm ? (Math.abs(rateRpm - acfRateRpm) / acfRateRpm) * 100 : null;
+
+      // Manual edits anchored inside this burst; the latest label wins
+      const inBurst = (t) => t >= startTime && t <= endTime;
+      const labelEdit = this.burstEdits.labels.filter(l => inBurst(l.time)).pop();
+
       const burstInfo = {
         burstNumber: burstIdx + 1,
         startTime: startTime,
@@ -233,13 +799,19 @@ export class RateOfFireDetector {
         duration: duration,
         numShots: numShots,
         rateRpm: rateRpm,
+        acfRateRpm: acfRateRpm,
+        rateMismatch: rateMismatch,
+        rateMismatchWarning: rateMismatch !== null && rateMismatch > this.rateMismatchPercent,
         meanInterval: meanInterval,
         stdInterval: signal.std(intervals),
         minInterval: signal.min(intervals),
         maxInterval: signal.max(intervals),
         meanDeviation: meanDev,
         medianDeviation: medianDev,
-        shotTimes: times
+        shotTimes: times,
+        anomalies: this.detectAnomalies(burst, intervals, medianInterval),
+        label: labelEdit ? labelEdit.label : null,
+        excluded: this.burstEdits.excluded.some(inBurst)
       };
 
       results.push(burstInfo);
@@ -250,11 +822,125 @@ export class RateOfFireDetector {
     return results;
   }
 
+  /**
+   * Flag intervals that look like a missed shot (~2× the median) or a double
+   * trigger (two intervals that together make ~1× the median)
+   * @param {Array<number>} burst - Indices into shotTimes
+   * @param {Float32Array} intervals - Inter-shot intervals of the burst
+   * @param {number} medianInterval
+   * @returns {Array<Object>} {type: 'missed'|'double', shotIndices, intervals, suggestedFix: {action, time}}
+   */
+  detectAnomalies(burst, intervals, medianInterval) {
+    const anomalies = [];
+    if (!(medianInterval > 0)) return anomalies;
+
+    const near = (value, target) => Math.abs(value - target) <= target * ANOMALY_TOLERANCE;
+
+    for (let i = 0; i < intervals.length; i++) {
+      if (near(intervals[i], 2 * medianInterval)) {
+        const before = this.shotTimes[burst[i]];
+        anomalies.push({
+          type: 'missed',
+          shotIndices: [burst[i], burst[i + 1]],
+          intervals: [intervals[i]],
+          suggestedFix: { action: 'add', time: this.locateMissedShot(before, before + intervals[i], medianInterval) }
+        });
+        continue;
+      }
+
+      if (i + 1 < intervals.length && intervals[i] < medianInterval * (1 - ANOMALY_TOLERANCE) &&
+        near(intervals[i] + intervals[i + 1], medianInterval)) {
+        // The middle shot is the extra one
+        anomalies.push({
+          type: 'double',
+          shotIndices: [burst[i], burst[i + 1], burst[i + 2]],
+          intervals: [intervals[i], intervals[i + 1]],
+          suggestedFix: { action: 'remove', time: this.shotTimes[burst[i + 1]] }
+        });
+        i++;
+      }
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * Best time for a shot missed between two detections: the envelope maximum
+   * near the midpoint, or the midpoint itself without an envelope
+   */
+  locateMissedShot(before, after, medianInterval) {
+    const midpoint = (before + after) / 2;
+    if (!this.envelope || !this.sampleRate) return midpoint;
+
+    const from = Math.max(Math.round(this.timeToIndex(midpoint - medianInterval / 4)), 0);
+    const to = Math.min(Math.round(this.timeToIndex(midpoint + medianInterval / 4)), this.envelope.length - 1);
+    let best = from;
+    for (let i = from + 1; i <= to; i++) {
+      if (this.envelope[i] > this.envelope[best]) best = i;
+    }
+    return this.shotTimeAt(best, Math.round(this.timeToIndex(before)));
+  }
+
+  /**
+   * Cycle rate (RPM) from the autocorrelation of the envelope over a burst.
+   * Lags are searched between minShotSpacing and burstGapThreshold.
+   * @returns {number|null} null without an envelope (imported sessions) or a clear cycle
+   */
+  estimateCycleRate(startTime, endTime) {
+    if (!this.envelope || !this.sampleRate) return null;
+
+    // Block-average the burst window (padded by one minimum spacing) down to ACF_SAMPLE_RATE
+    const factor = Math.max(Math.floor(this.sampleRate / ACF_SAMPLE_RATE), 1);
+    const rate = this.sampleRate / factor;
+    const from = Math.max(Math.floor(this.timeToIndex(startTime - this.minShotSpacing)), 0);
+    const to = Math.min(Math.ceil(this.timeToIndex(endTime + this.minShotSpacing)), this.envelope.length);
+    const segment = new Float32Array(Math.floor((to - from) / factor));
+    for (let j = 0; j < segment.length; j++) {
+      let sum = 0;
+      for (let i = from + j * factor; i < from + (j + 1) * factor; i++) sum += this.envelope[i];
+      segment[j] = sum / factor;
+    }
+
+    const minLag = Math.max(Math.floor(this.minShotSpacing * rate), 1);
+    const maxLag = Math.ceil(this.burstGapThreshold * rate);
+    if (segment.length < 2 * minLag + 2) return null;
+    const acf = signal.autocorrelation(segment, maxLag + 1);
+
+    // Local maxima in the searched lag range
+    const peaks = [];
+    for (let lag = Math.max(minLag, 1); lag < acf.length - 1; lag++) {
+      if (acf[lag] > acf[lag - 1] && acf[lag] >= acf[lag + 1]) peaks.push(lag);
+    }
+    if (peaks.length === 0) return null;
+
+    let best = peaks.reduce((a, b) => (acf[b] > acf[a] ? b : a));
+    if (acf[best] < ACF_MIN_CORRELATION) return null;
+
+    // The strongest peak can be a multiple of the cycle; prefer a comparably
+    // strong peak at half or a third of its lag
+    for (const divisor of [2, 3]) {
+      const target = best / divisor;
+      const sub = peaks.find(lag => Math.abs(lag - target) <= target * 0.1 && acf[lag] >= acf[best] * ACF_SUBHARMONIC_RATIO);
+      if (sub !== undefined) {
+        best = sub;
+        break;
+      }
+    }
+
+    const lag = best + signal.parabolicPeakOffset(acf[best - 1], acf[best], acf[best + 1]);
+    return (60 * rate) / lag;
+  }
+
   /**
    * Generate overall summary statistics
+   * @param {Array<Object>} allBursts - From calculateRates(); excluded bursts are only counted
    */
-  generateSummary(burstResults) {
-    if (!burstResults || burstResults.length === 0) {
+  generateSummary(allBursts) {
+    // Bursts excluded by hand are listed but left out of every statistic
+    const burstResults = (allBursts || []).filter(b => !b.excluded);
+    const excludedBursts = (allBursts || []).length - burstResults.length;
+
+    if (burstResults.length === 0) {
       return {
         totalShots: 0,
         totalBursts: 0,
@@ -263,7 +949,9 @@ export class RateOfFireDetector {
         medianBurstRateRpm: 0,
         minBurstRateRpm: 0,
         maxBurstRateRpm: 0,
-        stdBurstRateRpm: 0
+        stdBurstRateRpm: 0,
+        anomalyCount: 0,
+        excludedBursts
       };
     }
 
@@ -303,36 +991,142 @@ export class RateOfFireDetector {
       // Aggregate interval stats (weighted by number of intervals per burst)
       avgStdInterval: signal.mean(burstResults.map(b => b.stdInterval)), // Simple average for now
       avgMeanDeviation: signal.mean(burstResults.map(b => b.meanDeviation)), // Simple average for now
-      avgMedianDeviation: signal.mean(burstResults.map(b => b.medianDeviation)) // Simple average for now
+      avgMedianDeviation: signal.mean(burstResults.map(b => b.medianDeviation)), // Simple average for now
+      anomalyCount: burstResults.reduce((sum, b) => sum + b.anomalies.length, 0),
+      excludedBursts
     };
   }
 
   /**
-   * Run complete analysis pipeline
+   * Current detection parameters, as reported in the results object
    */
-  async analyze(file, ffmpeg, onProgress = null) {
-    const audioInfo = await this.extractAudio(file, ffmpeg, onProgress);
+  getParameters() {
+    return {
+      thresholdMode: this.thresholdMode,
+      peakThresholdStd: this.peakThresholdStd,
+      thresholdWindow: this.thresholdWindow,
+      thresholdPercentile: this.thresholdPercentile,
+      minShotSpacing: this.minShotSpacing,
+      timingMode: this.timingMode,
+      burstGapThreshold: this.burstGapThreshold,
+      windowSize: this.windowSize,
+      detectionMode: this.detectionMode,
+      envelopeMethod: this.envelopeMethod,
+      filterType: this.filterType,
+      filterFrequency: this.filterFrequency,
+      filterQ: this.filterQ,
+      minPeakProminence: this.minPeakProminence,
+      minBurstCount: this.minBurstCount,
+      rateMismatchPercent: this.rateMismatchPercent,
+      channelMode: this.channelMode,
+      channel: this.channel,
+      compareChannels: this.compareChannels,
+      regionStart: this.regionStart,
+      regionEnd: this.regionEnd,
+      burstEdits: this.burstEdits
+    };
+  }
+
+  /**
+   * Run the detection stages on the loaded audio and build the results object.
+   * onProgress(message, percent) receives the pipeline's completion percentage.
+   */
+  runPipeline(inputFile = null, onProgress = null) {
+    if (!this.channelData || !this.sampleRate) {
+      throw new Error('Must load audio first');
+    }
+
+    this.applyFilter(onProgress);
     this.calculateEnvelope(onProgress);
-    const { peaks, properties } = this.detectPeaks(onProgress);
+    const { peaks, thresholdCurve } = this.detectPeaks(onProgress);
     this.groupIntoBursts(onProgress);
     const burstResults = this.calculateRates();
     const summary = this.generateSummary(burstResults);
+    const channelShots = this.detectChannelShots(onProgress);
+    if (onProgress) onProgress('Analysis complete', 100);
+
+    // Peaks are reported as sample indices in the source file, like the
+    // edited-shot peaks built from shot times
+    const peakOffset = Math.round(this.timeOffset * this.sampleRate);
 
     return {
-      inputFile: file.name,
-      audioDuration: audioInfo.duration,
-      sampleRate: audioInfo.sampleRate,
-      parameters: {
-        peakThresholdStd: this.peakThresholdStd,
-        minShotSpacing: this.minShotSpacing,
-        burstGapThreshold: this.burstGapThreshold,
-        windowSize: this.windowSize,
-        minPeakProminence: this.minPeakProminence,
-        minBurstCount: this.minBurstCount
-      },
+      inputFile,
+      audioDuration: this.audioData.length / this.sampleRate,
+      sampleRate: this.sampleRate,
+      parameters: this.getParameters(),
       summary,
       bursts: burstResults,
-      peaks
+      peaks: peakOffset > 0 ? peaks.map(idx => idx + peakOffset) : peaks,
+      thresholdCurve,
+      // Loaded audio and the analyzed part of it, in source-file seconds
+      audioStart: this.audioOffset,
+      region: { start: this.timeOffset, end: this.timeOffset + this.regionAudio.length / this.sampleRate },
+      channels: {
+        count: this.channelData.length,
+        selected: this.selectedChannel,
+        snrDb: this.channelData.length > 1 ? this.getChannelSNR() : null
+      },
+      channelShots
     };
   }
+
+  /**
+   * Detect shots separately on every channel (compareChannels) so microphones
+   * can be compared side by side. Each channel runs the same filter, envelope
+   * and peak settings as the main analysis.
+   * @returns {Array<Object>|null} [{channel, snrDb, shotTimes}], or null when
+   *   comparison is off or the recording is mono
+   */
+  detectChannelShots(onProgress = null) {
+    if (!this.compareChannels || this.channelData.length < 2) return null;
+
+    const channelShotsKey = this.stageKey([
+      ...REGION_PARAMS, ...FILTER_PARAMS, ...this.envelopeParams(), ...PEAK_PARAMS, 'timingMode'
+    ]);
+    if (this.stageCache.channelShots && this.stageCache.channelShotsKey === channelShotsKey) {
+      return this.stageCache.channelShots;
+    }
+
+    const snr = this.getChannelSNR();
+    const channelShots = this.channelData.map((_, i) => {
+      if (onProgress) onProgress(`Detecting shots on channel ${i + 1}...`, 95);
+
+      const channelDetector = new RateOfFireDetector({
+        ...this.getParameters(),
+        channelMode: 'single',
+        channel: i + 1,
+        compareChannels: false
+      });
+      channelDetector.loadAudio(this.channelData, this.sampleRate, null, this.audioOffset);
+      channelDetector.applyFilter();
+      channelDetector.calculateEnvelope();
+      channelDetector.detectPeaks();
+
+      return { channel: i + 1, snrDb: snr[i], shotTimes: channelDetector.shotTimes };
+    });
+
+    this.stageCache.channelShots = channelShots;
+    this.stageCache.channelShotsKey = channelShotsKey;
+    return channelShots;
+  }
+
+  /**
+   * Run complete analysis pipeline on raw samples (headless, e.g. Node)
+   * @param {Float32Array|Array<Float32Array>} audioData - Mono samples, or one array
+   *   per channel, normalized to [-1, 1]
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} options - {inputFile: name reported in results, onProgress}
+   */
+  analyzeSamples(audioData, sampleRate, { inputFile = null, onProgress = null } = {}) {
+    this.loadAudio(audioData, sampleRate, onProgress);
+    return this.runPipeline(inputFile, onProgress);
+  }
+
+  /**
+   * Run complete analysis pipeline
+   */
+  async analyze(file, ffmpeg, onProgress = null) {
+    await this.extractAudio(file, ffmpeg, onProgress);
+    return this.runPipeline(file.name, onProgress);
+  }
 }
@@ -0,0 +1,84 @@
+/**
+ * Session Export / Import
+ * Serializes a full analysis (results, parameters, notes, manual edits) to JSON
+ * so it can be reviewed later without the original media
+ */
+
+import { version as TOOL_VERSION } from '../package.json';
+
+export const SESSION_FORMAT = 'f3ds-rof-session';
+export const SESSION_FORMAT_VERSION = 1;
+
+/**
+ * Whether a dropped/selected file looks like an exported session
+ * @param {File} file
+ */
+export function isSessionFile(file) {
+  return file.type === 'application/json' || /\.json$/i.test(file.name);
+}
+
+/**
+ * Build the exportable session object
+ * @param {Object} state
+ * @param {Object} state.results - Results object from RateOfFireDetector.analyze()
+ * @param {Array<number>} state.shotTimes - Current (possibly hand-edited) shot times
+ * @param {Object} state.manualEdits - {added: Array<number>, removed: Array<number>}
+ * @param {string} state.buildNotes - Free-text build notes
+ * @param {Object} state.waveform - Downsampled waveform {time, data} for redrawing the chart
+ */
+export function createSession({ results, shotTimes, manualEdits, buildNotes, waveform }) {
+  // Imported sessions carry their waveform preview inside the results; store it once
+  const { waveform: _preview, ...analysis } = results;
+
+  return {
+    format: SESSION_FORMAT,
+    formatVersion: SESSION_FORMAT_VERSION,
+    toolVersion: TOOL_VERSION,
+    exportedAt: new Date().toISOString(),
+    buildNotes: buildNotes || '',
+    parameters: results.parameters,
+    shotTimes: Array.from(shotTimes),
+    manualEdits: {
+      added: Array.from(manualEdits?.added || []),
+      removed: Array.from(manualEdits?.removed || []),
+    },
+    results: analysis,
+    waveform,
+  };
+}
+
+/**
+ * Parse and validate session JSON text
+ * @param {string} text
+ * @returns {Object} The session object
+ */
+export function parseSession(text) {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Session file is not valid JSON');
+  }
+
+  if (!session || session.format !== SESSION_FORMAT) {
+    throw new Error('Not an F3DS ROF session file');
+  }
+  if (session.formatVersion > SESSION_FORMAT_VERSION) {
+    throw new Error(`Session was exported by a newer version of the tool (${session.toolVersion})`);
+  }
+
+  const { results, shotTimes } = session;
+  if (!results || !results.summary || !Array.isArray(results.bursts) || !(results.sampleRate > 0)) {
+    throw new Error('Session file is missing analysis results');
+  }
+  if (!Array.isArray(shotTimes) || shotTimes.some(t => typeof t !== 'number')) {
+    throw new Error('Session file has invalid shot times');
+  }
+
+  session.manualEdits = {
+    added: session.manualEdits?.added || [],
+    removed: session.manualEdits?.removed || [],
+  };
+
+  return session;
+}
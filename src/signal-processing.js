@@ -56,6 +56,85 @@ export function median(arr) {
   return sorted[mid];
 }
 
+/**
+ * Value at percentile p (0-100) of an ascending-sorted array, interpolating
+ * linearly between ranks like numpy.percentile
+ */
+export function percentileOfSorted(sorted, p, count = sorted.length) {
+  if (count === 0) return 0;
+  const rank = (p / 100) * (count - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.min(lo + 1, count - 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+/**
+ * Median absolute deviation of an ascending-sorted array around its median
+ */
+export function madOfSorted(sorted, count = sorted.length) {
+  if (count === 0) return 0;
+  const med = percentileOfSorted(sorted, 50, count);
+
+  // Deviations grow outward from the median on both sides; merge them in order
+  const target = count >> 1;
+  let left = Math.floor((count - 1) / 2);
+  let right = left + 1;
+  let previous = 0;
+  for (let k = 0; k <= target; k++) {
+    const leftDev = left >= 0 ? med - sorted[left] : Infinity;
+    const rightDev = right < count ? sorted[right] - med : Infinity;
+    const next = leftDev <= rightDev ? (left--, leftDev) : (right++, rightDev);
+    if (k === target) {
+      return count % 2 === 1 ? next : (previous + next) / 2;
+    }
+    previous = next;
+  }
+  return previous;
+}
+
+/**
+ * Centered sliding-window statistic over a short series. The window is kept
+ * sorted so each step costs O(windowLength); windows are truncated at the edges.
+ * @param {Float32Array|Array} values - The series
+ * @param {number} windowLength - Window length in samples (odd keeps it centered)
+ * @param {Function} statistic - (sortedWindow, count) => number
+ * @returns {Float32Array}
+ */
+export function rollingStatistic(values, windowLength, statistic) {
+  const n = values.length;
+  const result = new Float32Array(n);
+  const half = Math.floor(windowLength / 2);
+  // One spare slot: the entering value is inserted before the leaving one is removed
+  const sorted = new Float64Array(Math.min(2 * half + 1, n) + 1);
+  let count = 0;
+
+  const insert = (v) => {
+    let i = count++;
+    while (i > 0 && sorted[i - 1] > v) {
+      sorted[i] = sorted[i - 1];
+      i--;
+    }
+    sorted[i] = v;
+  };
+  const remove = (v) => {
+    let i = 0;
+    while (i < count && sorted[i] !== v) i++;
+    for (; i < count - 1; i++) sorted[i] = sorted[i + 1];
+    count--;
+  };
+
+  for (let j = 0; j < Math.min(half, n); j++) insert(values[j]);
+  for (let i = 0; i < n; i++) {
+    const entering = i + half;
+    const leaving = i - half - 1;
+    if (entering < n) insert(values[entering]);
+    if (leaving >= 0) remove(values[leaving]);
+    result[i] = statistic(sorted, count);
+  }
+
+  return result;
+}
+
 /**
  * Array Operations
  */
@@ -112,107 +191,928 @@ export function convolve(signal, kernel, mode = 'same') {
 
 /**
  * Peak Detection
- * Reimplementation of scipy.signal.find_peaks
+ * Reimplementation of scipy.signal.find_peaks (same conditions, evaluation
+ * order and properties; property names are camelCased)
+ *
+ * Conditions accept a number (minimum), a two-element [min, max] array, or a
+ * per-sample typed array the same length as `data` (either bound may be one).
+ * Pass null/undefined to skip a condition.
  *
  * @param {Float32Array|Array} data - The signal data
  * @param {Object} options - Peak detection options
- * @param {number} options.height - Minimum peak height
- * @param {number} options.distance - Minimum distance between peaks (in samples)
- * @param {number} options.prominence - Minimum prominence (relative to max signal)
+ * @param {number|Array} options.height - Required peak height
+ * @param {number|Array} options.threshold - Required vertical distance to neighbouring samples
+ * @param {number} options.distance - Minimum distance between peaks (in samples, >= 1)
+ * @param {number|Array} options.prominence - Required (absolute) prominence
+ * @param {number|Array} options.width - Required width (in samples) at relHeight
+ * @param {number} options.wlen - Window length (in samples) limiting the prominence search
+ * @param {number} options.relHeight - Relative height at which width is measured (default 0.5)
+ * @param {number|Array} options.plateauSize - Required size of a flat peak (in samples)
  * @returns {Object} {peaks: Array<number>, properties: Object}
  */
 export function findPeaks(data, options = {}) {
   const {
-    height = -Infinity,
-    distance = 1,
-    prominence = 0
+    height = null,
+    threshold = null,
+    distance = null,
+    prominence = null,
+    width = null,
+    wlen = null,
+    relHeight = 0.5,
+    plateauSize = null
   } = options;
 
+  if (distance !== null && distance < 1) {
+    throw new Error('`distance` must be greater or equal to 1');
+  }
+
   const n = data.length;
-  if (n < 3) return { peaks: [], properties: { heights: [] } };
+  const maxima = localMaxima(data);
+  let peaks = maxima.peaks;
+  const properties = {};
 
-  // Step 1: Find local maxima (points higher than both neighbors)
-  const localMaxima = [];
-  for (let i = 1; i < n - 1; i++) {
-    if (data[i] > data[i - 1] && data[i] > data[i + 1]) {
-      localMaxima.push(i);
+  // Keep only the peaks (and every property gathered so far) where keep[i] is set
+  const applyKeep = (keep) => {
+    peaks = compress(peaks, keep);
+    for (const key of Object.keys(properties)) {
+      properties[key] = compress(properties[key], keep);
     }
+  };
+
+  if (plateauSize !== null) {
+    properties.plateauSizes = maxima.rightEdges.map((right, i) => right - maxima.leftEdges[i] + 1);
+    properties.leftEdges = maxima.leftEdges;
+    properties.rightEdges = maxima.rightEdges;
+    applyKeep(selectByProperty(properties.plateauSizes, plateauSize, peaks, n));
+  }
+
+  if (height !== null) {
+    properties.peakHeights = gather(data, peaks);
+    applyKeep(selectByProperty(properties.peakHeights, height, peaks, n));
+  }
+
+  if (threshold !== null) {
+    properties.leftThresholds = Float64Array.from(peaks, idx => data[idx] - data[idx - 1]);
+    properties.rightThresholds = Float64Array.from(peaks, idx => data[idx] - data[idx + 1]);
+    const keep = selectByProperty(properties.leftThresholds, threshold, peaks, n);
+    const keepRight = selectByProperty(properties.rightThresholds, threshold, peaks, n);
+    for (let i = 0; i < keep.length; i++) keep[i] &= keepRight[i];
+    applyKeep(keep);
+  }
+
+  if (distance !== null) {
+    applyKeep(selectByPeakDistance(peaks, gather(data, peaks), distance));
+  }
+
+  if (prominence !== null || width !== null) {
+    const { prominences, leftBases, rightBases } = peakProminences(data, peaks, wlen);
+    properties.prominences = prominences;
+    properties.leftBases = leftBases;
+    properties.rightBases = rightBases;
   }
 
-  // Step 2: Filter by height threshold
-  const heightFiltered = localMaxima.filter(idx => data[idx] >= height);
+  if (prominence !== null) {
+    applyKeep(selectByProperty(properties.prominences, prominence, peaks, n));
+  }
 
-  // Step 3: Calculate prominence and filter
-  let prominenceFiltered = heightFiltered;
-  if (prominence > 0) {
-    const maxSignal = max(data);
-    const minProminence = prominence * maxSignal;
+  if (width !== null) {
+    Object.assign(properties, peakWidths(data, peaks, relHeight, properties));
+    applyKeep(selectByProperty(properties.widths, width, peaks, n));
+  }
+
+  // Plain arrays out, so callers can map peak indices to fractional times
+  for (const key of Object.keys(properties)) {
+    properties[key] = Array.from(properties[key]);
+  }
+  return { peaks: Array.from(peaks), properties };
+}
+
+/**
+ * Values of `data` at the given indices
+ */
+function gather(data, indices) {
+  const result = new Float64Array(indices.length);
+  for (let i = 0; i < indices.length; i++) result[i] = data[indices[i]];
+  return result;
+}
 
-    prominenceFiltered = heightFiltered.filter(idx => {
-      const peakHeight = data[idx];
+/**
+ * Copy of a typed array with only the entries where keep[i] is set
+ */
+function compress(values, keep) {
+  let count = 0;
+  for (let i = 0; i < keep.length; i++) count += keep[i];
 
-      // Find the lowest point between this peak and the next higher peak
-      // on both sides (simplified prominence calculation)
-      let leftMin = peakHeight;
-      let rightMin = peakHeight;
+  const result = new values.constructor(count);
+  for (let i = 0, j = 0; i < keep.length; i++) {
+    if (keep[i]) result[j++] = values[i];
+  }
+  return result;
+}
 
-      // Look left
-      for (let i = idx - 1; i >= 0; i--) {
-        if (data[i] < leftMin) leftMin = data[i];
-        if (data[i] >= peakHeight) break;
+/**
+ * Growable Int32Array buffer (avoids boxed arrays for millions of candidates)
+ */
+function createIntBuffer(capacity = 1024) {
+  let values = new Int32Array(capacity);
+  let length = 0;
+  return {
+    push(v) {
+      if (length === values.length) {
+        const grown = new Int32Array(values.length * 2);
+        grown.set(values);
+        values = grown;
       }
+      values[length++] = v;
+    },
+    toArray: () => values.slice(0, length)
+  };
+}
 
-      // Look right
-      for (let i = idx + 1; i < n; i++) {
-        if (data[i] < rightMin) rightMin = data[i];
-        if (data[i] >= peakHeight) break;
+/**
+ * All local maxima, including the midpoint of flat peaks (plateaus).
+ * Like scipy, the first and last sample are never peaks.
+ */
+function localMaxima(data) {
+  const peaks = createIntBuffer();
+  const leftEdges = createIntBuffer();
+  const rightEdges = createIntBuffer();
+  const iMax = data.length - 1;
+
+  let i = 1;
+  while (i < iMax) {
+    if (data[i - 1] < data[i]) {
+      let iAhead = i + 1;
+      // Skip over a plateau of equal values
+      while (iAhead < iMax && data[iAhead] === data[i]) iAhead++;
+
+      if (data[iAhead] < data[i]) {
+        leftEdges.push(i);
+        rightEdges.push(iAhead - 1);
+        peaks.push((i + iAhead - 1) >> 1);
+        i = iAhead;
       }
+    }
+    i++;
+  }
+
+  return { peaks: peaks.toArray(), leftEdges: leftEdges.toArray(), rightEdges: rightEdges.toArray() };
+}
+
+/**
+ * Resolve one bound of a condition for a given peak
+ */
+function resolveBound(bound, peakIdx, n) {
+  if (bound === null || bound === undefined) return null;
+  if (ArrayBuffer.isView(bound) || (Array.isArray(bound) && bound.length === n)) return bound[peakIdx];
+  return bound;
+}
+
+/**
+ * Evaluate a condition (number, [min, max], or per-sample array) for every peak
+ * @returns {Uint8Array} 1 where the peak satisfies the condition
+ */
+function selectByProperty(values, condition, peaks, n) {
+  const isInterval = Array.isArray(condition) && condition.length === 2 && n !== 2;
+  const minBound = isInterval ? condition[0] : condition;
+  const maxBound = isInterval ? condition[1] : null;
+  const keep = new Uint8Array(values.length);
 
-      const prominenceValue = peakHeight - Math.max(leftMin, rightMin);
-      return prominenceValue >= minProminence;
-    });
+  for (let i = 0; i < values.length; i++) {
+    const min = resolveBound(minBound, peaks[i], n);
+    const max = resolveBound(maxBound, peaks[i], n);
+    keep[i] = (min === null || min <= values[i]) && (max === null || values[i] <= max) ? 1 : 0;
   }
+  return keep;
+}
+
+/**
+ * Remove peaks closer than `distance` to a higher peak, highest first.
+ * Each peak is visited once after an O(n) radix argsort.
+ */
+function selectByPeakDistance(peaks, priority, distance) {
+  const count = peaks.length;
+  const minDistance = Math.ceil(distance);
+  const keep = new Uint8Array(count).fill(1);
+  const order = argsortStable(priority);
+
+  for (let i = count - 1; i >= 0; i--) {
+    const j = order[i];
+    if (!keep[j]) continue;
+
+    for (let k = j - 1; k >= 0 && peaks[j] - peaks[k] < minDistance; k--) keep[k] = 0;
+    for (let k = j + 1; k < count && peaks[k] - peaks[j] < minDistance; k++) keep[k] = 0;
+  }
+
+  return keep;
+}
+
+/**
+ * Stable ascending argsort of a Float64Array: LSD radix sort over the IEEE-754
+ * bits (16-bit digits), linear time for the millions of candidates a noisy
+ * envelope can produce
+ */
+function argsortStable(values) {
+  const count = values.length;
+  const words = new Uint32Array(values.buffer, values.byteOffset, count * 2);
+
+  // Map doubles to unsigned keys with the same ordering (flip sign / all bits)
+  const lo = new Uint32Array(count);
+  const hi = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    const l = words[2 * i];
+    const h = words[2 * i + 1];
+    if (h & 0x80000000) {
+      lo[i] = ~l >>> 0;
+      hi[i] = ~h >>> 0;
+    } else {
+      lo[i] = l;
+      hi[i] = (h | 0x80000000) >>> 0;
+    }
+  }
+
+  let order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = i;
+  let scratch = new Uint32Array(count);
+  const buckets = new Uint32Array(65536);
+
+  const passes = [[lo, 0], [lo, 16], [hi, 0], [hi, 16]];
+  for (const [keys, shift] of passes) {
+    buckets.fill(0);
+    for (let i = 0; i < count; i++) buckets[(keys[i] >>> shift) & 0xFFFF]++;
+    for (let b = 0, sum = 0; b < 65536; b++) {
+      const c = buckets[b];
+      buckets[b] = sum;
+      sum += c;
+    }
+    for (let i = 0; i < count; i++) {
+      const idx = order[i];
+      scratch[buckets[(keys[idx] >>> shift) & 0xFFFF]++] = idx;
+    }
+    [order, scratch] = [scratch, order];
+  }
+
+  return order;
+}
+
+/**
+ * Prominence of each peak and its left/right bases (scipy.signal.peak_prominences)
+ *
+ * Same search as scipy (walk out from the peak until a strictly higher sample
+ * or the wlen window edge, tracking the lowest point), but whole blocks whose
+ * maximum is below the peak are skipped using a precomputed block min/max
+ * hierarchy, so each search is O(log n) and the tallest peaks of an hour-long
+ * recording don't each walk the entire signal.
+ *
+ * @param {Float32Array|Array} data - The signal data
+ * @param {Array<number>} peaks - Peak indices
+ * @param {number} wlen - Optional window length in samples
+ * @returns {Object} {prominences, leftBases, rightBases}
+ */
+export function peakProminences(data, peaks, wlen = null) {
+  if (wlen !== null && wlen !== undefined && !(wlen > 1)) {
+    throw new Error('`wlen` must be larger than 1');
+  }
+  const halfWindow = wlen ? Math.floor(Math.ceil(wlen) / 2) : Infinity;
+
+  const index = buildBlockIndex(data);
+  const prominences = new Float64Array(peaks.length);
+  const leftBases = new Int32Array(peaks.length);
+  const rightBases = new Int32Array(peaks.length);
 
-  // Step 4: Filter by distance (suppress nearby peaks, keep highest)
-  const peaks = [];
-  if (prominenceFiltered.length === 0) {
-    return { peaks: [], properties: { heights: [] } };
+  for (let p = 0; p < peaks.length; p++) {
+    const peak = peaks[p];
+    const left = searchBase(data, index, peak, Math.max(peak - halfWindow, 0), -1);
+    const right = searchBase(data, index, peak, Math.min(peak + halfWindow, data.length - 1), 1);
+
+    prominences[p] = data[peak] - Math.max(left.min, right.min);
+    leftBases[p] = left.base;
+    rightBases[p] = right.base;
   }
 
-  // Sort by height (descending) to prioritize higher peaks
-  const sortedByHeight = prominenceFiltered
-    .map(idx => ({ idx, height: data[idx] }))
-    .sort((a, b) => b.height - a.height);
+  return { prominences, leftBases, rightBases };
+}
 
-  const used = new Set();
+// Samples per block at the lowest index level, and blocks per block above it
+const BLOCK_FACTOR = 64;
+
+/**
+ * Per-block max, min, and first/last index of the min, at each level.
+ * Levels are added until one block covers the whole signal, so a search
+ * skips at most BLOCK_FACTOR blocks per level on the way out and back in.
+ */
+function buildBlockIndex(data) {
+  const n = data.length;
+  const levels = [];
 
-  for (const { idx } of sortedByHeight) {
-    // Check if this peak is too close to any already selected peak
-    let tooClose = false;
-    for (const existingPeak of peaks) {
-      if (Math.abs(idx - existingPeak) < distance) {
-        tooClose = true;
-        break;
+  for (let size = BLOCK_FACTOR; levels.length === 0 || size / BLOCK_FACTOR < n; size *= BLOCK_FACTOR) {
+    const level = levels.length;
+    const count = Math.ceil(n / size);
+    const stats = {
+      size,
+      max: new Float64Array(count).fill(-Infinity),
+      min: new Float64Array(count).fill(Infinity),
+      minFirst: new Int32Array(count),
+      minLast: new Int32Array(count)
+    };
+
+    if (level === 0) {
+      for (let i = 0; i < n; i++) {
+        const b = (i / size) | 0;
+        const v = data[i];
+        if (v > stats.max[b]) stats.max[b] = v;
+        if (v < stats.min[b]) {
+          stats.min[b] = v;
+          stats.minFirst[b] = i;
+          stats.minLast[b] = i;
+        } else if (v === stats.min[b]) {
+          stats.minLast[b] = i;
+        }
+      }
+    } else {
+      // Built from the level below, in index order
+      const below = levels[level - 1];
+      const ratio = size / below.size;
+      for (let c = 0; c < below.max.length; c++) {
+        const b = (c / ratio) | 0;
+        if (below.max[c] > stats.max[b]) stats.max[b] = below.max[c];
+        if (below.min[c] < stats.min[b]) {
+          stats.min[b] = below.min[c];
+          stats.minFirst[b] = below.minFirst[c];
+          stats.minLast[b] = below.minLast[c];
+        } else if (below.min[c] === stats.min[b]) {
+          stats.minLast[b] = below.minLast[c];
+        }
+      }
+    }
+
+    levels.push(stats);
+  }
+
+  return levels;
+}
+
+/**
+ * Walk from the peak towards `limit` (inclusive) in `direction` until a sample
+ * higher than the peak, returning the lowest value passed and its index.
+ * On equal values the point nearest the peak wins, as in scipy.
+ */
+function searchBase(data, levels, peak, limit, direction) {
+  const height = data[peak];
+  let min = height;
+  let base = peak;
+  let i = peak;
+
+  while (direction < 0 ? i >= limit : i <= limit) {
+    let skipped = false;
+
+    // Try the largest block that starts at i (in the walking direction),
+    // fits before the limit and has nothing higher than the peak
+    for (let level = levels.length - 1; level >= 0; level--) {
+      const { size, max, min: blockMin, minFirst, minLast } = levels[level];
+      const aligned = direction < 0 ? (i + 1) % size === 0 : i % size === 0;
+      if (!aligned) continue;
+
+      const b = (i / size) | 0;
+      const far = direction < 0 ? i - size + 1 : Math.min(i + size, data.length) - 1;
+      if ((direction < 0 ? far < limit : far > limit) || max[b] > height) continue;
+
+      if (blockMin[b] < min) {
+        min = blockMin[b];
+        base = direction < 0 ? minLast[b] : minFirst[b];
       }
+      i = far + direction;
+      skipped = true;
+      break;
     }
+    if (skipped) continue;
 
-    if (!tooClose) {
-      peaks.push(idx);
+    if (data[i] > height) break;
+    if (data[i] < min) {
+      min = data[i];
+      base = i;
     }
+    i += direction;
+  }
+
+  return { min, base };
+}
+
+/**
+ * Width of each peak at relHeight of its prominence (scipy.signal.peak_widths)
+ * @param {Float32Array|Array} data - The signal data
+ * @param {Array<number>} peaks - Peak indices
+ * @param {number} relHeight - 0.5 = full width at half prominence
+ * @param {Object} prominenceData - {prominences, leftBases, rightBases} from peakProminences
+ * @returns {Object} {widths, widthHeights, leftIps, rightIps}
+ */
+export function peakWidths(data, peaks, relHeight = 0.5, prominenceData = null) {
+  if (relHeight < 0) {
+    throw new Error('`relHeight` must be greater or equal to 0.0');
+  }
+  const { prominences, leftBases, rightBases } = prominenceData || peakProminences(data, peaks);
+
+  const widths = [];
+  const widthHeights = [];
+  const leftIps = [];
+  const rightIps = [];
+
+  peaks.forEach((peak, p) => {
+    const height = data[peak] - prominences[p] * relHeight;
+
+    // Walk down to the intersection with the reference height, then interpolate
+    let i = peak;
+    while (leftBases[p] < i && height < data[i]) i--;
+    let leftIp = i;
+    if (data[i] < height) leftIp += (height - data[i]) / (data[i + 1] - data[i]);
+
+    i = peak;
+    while (i < rightBases[p] && height < data[i]) i++;
+    let rightIp = i;
+    if (data[i] < height) rightIp -= (height - data[i]) / (data[i - 1] - data[i]);
+
+    widths.push(rightIp - leftIp);
+    widthHeights.push(height);
+    leftIps.push(leftIp);
+    rightIps.push(rightIp);
+  });
+
+  return { widths, widthHeights, leftIps, rightIps };
+}
+
+/**
+ * Moving average (box filter) using a running sum - O(n) regardless of window size.
+ * Same alignment and zero-padded edges as convolve(signal, ones(n) / n, 'same').
+ */
+export function movingAverage(arr, windowSize) {
+  const n = arr.length;
+  const result = new Float32Array(n);
+  if (windowSize <= 1) {
+    result.set(arr);
+    return result;
+  }
+
+  const half = Math.floor(windowSize / 2);
+  // Window for output i covers [i - half, i - half + windowSize - 1]
+  let sum = 0;
+  for (let j = 0; j < windowSize - half - 1 && j < n; j++) {
+    sum += arr[j];
+  }
+  for (let i = 0; i < n; i++) {
+    const entering = i - half + windowSize - 1;
+    const leaving = i - half - 1;
+    if (entering < n) sum += arr[entering];
+    if (leaving >= 0) sum -= arr[leaving];
+    result[i] = sum / windowSize;
+  }
+  return result;
+}
+
+export function square(arr) {
+  const result = new Float32Array(arr.length);
+  for (let i = 0; i < arr.length; i++) {
+    result[i] = arr[i] * arr[i];
+  }
+  return result;
+}
+
+export function sqrt(arr) {
+  const result = new Float32Array(arr.length);
+  for (let i = 0; i < arr.length; i++) {
+    // Running sums can leave tiny negative residue where the signal is silent
+    result[i] = Math.sqrt(Math.max(arr[i], 0));
+  }
+  return result;
+}
+
+/**
+ * Biquad (second-order IIR) filters
+ */
+
+/**
+ * Biquad coefficients from the RBJ Audio EQ Cookbook, normalized so a0 = 1
+ * @param {string} type - 'highpass' | 'lowpass' | 'bandpass' | 'notch'
+ * @param {number} frequency - Cutoff/center frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} q - Quality factor (0.707 = Butterworth for high/low-pass)
+ * @returns {Object} {b0, b1, b2, a1, a2}
+ */
+export function biquadCoefficients(type, frequency, sampleRate, q = Math.SQRT1_2) {
+  if (!(frequency > 0 && frequency < sampleRate / 2)) {
+    throw new Error(`Filter frequency must be between 0 and ${sampleRate / 2} Hz`);
+  }
+  if (!(q > 0)) {
+    throw new Error('Filter Q must be positive');
   }
 
-  // Sort peaks by position
-  peaks.sort((a, b) => a - b);
+  const w0 = 2 * Math.PI * frequency / sampleRate;
+  const cosW0 = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
 
-  // Extract properties
-  const heights = peaks.map(idx => data[idx]);
+  let b0, b1, b2;
+  switch (type) {
+    case 'lowpass':
+      b0 = (1 - cosW0) / 2;
+      b1 = 1 - cosW0;
+      b2 = (1 - cosW0) / 2;
+      break;
+    case 'highpass':
+      b0 = (1 + cosW0) / 2;
+      b1 = -(1 + cosW0);
+      b2 = (1 + cosW0) / 2;
+      break;
+    case 'bandpass':
+      // Constant 0 dB peak gain
+      b0 = alpha;
+      b1 = 0;
+      b2 = -alpha;
+      break;
+    case 'notch':
+      b0 = 1;
+      b1 = -2 * cosW0;
+      b2 = 1;
+      break;
+    default:
+      throw new Error(`Unknown filter type: ${type}`);
+  }
 
+  const a0 = 1 + alpha;
   return {
-    peaks,
-    properties: {
-      heights
+    b0: b0 / a0,
+    b1: b1 / a0,
+    b2: b2 / a0,
+    a1: -2 * cosW0 / a0,
+    a2: (1 - alpha) / a0
+  };
+}
+
+/**
+ * Apply a biquad filter (transposed direct form II)
+ * @param {Float32Array|Array} arr - The signal
+ * @param {Object} coeffs - From biquadCoefficients()
+ * @returns {Float32Array}
+ */
+export function biquadFilter(arr, { b0, b1, b2, a1, a2 }) {
+  const result = new Float32Array(arr.length);
+  let z1 = 0;
+  let z2 = 0;
+  for (let i = 0; i < arr.length; i++) {
+    const x = arr[i];
+    const y = b0 * x + z1;
+    z1 = b1 * x - a1 * y + z2;
+    z2 = b2 * x - a2 * y;
+    result[i] = y;
+  }
+  return result;
+}
+
+/**
+ * FFT
+ */
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ * @param {boolean} inverse - Compute the inverse transform (scaled by 1/n)
+ */
+export function fft(re, im, inverse = false) {
+  const n = re.length;
+  if (n & (n - 1)) {
+    throw new Error('FFT length must be a power of two');
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+
+  const { cos, sin } = getTwiddles(n);
+  const sign = inverse ? 1 : -1;
+  for (let size = 2; size <= n; size <<= 1) {
+    const halfSize = size >> 1;
+    const stride = n / size;
+
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < halfSize; k++) {
+        const wRe = cos[k * stride];
+        const wIm = sign * sin[k * stride];
+        const a = start + k;
+        const b = a + halfSize;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+// cos/sin of 2πk/n for k < n/2, per FFT length (STFTs reuse one size many times)
+const twiddleCache = new Map();
+
+function getTwiddles(n) {
+  let twiddles = twiddleCache.get(n);
+  if (!twiddles) {
+    const cos = new Float64Array(n / 2);
+    const sin = new Float64Array(n / 2);
+    for (let k = 0; k < n / 2; k++) {
+      cos[k] = Math.cos(2 * Math.PI * k / n);
+      sin[k] = Math.sin(2 * Math.PI * k / n);
+    }
+    twiddles = { cos, sin };
+    twiddleCache.set(n, twiddles);
+  }
+  return twiddles;
+}
+
+export function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+}
+
+/**
+ * Normalized (biased) autocorrelation via FFT, mean removed; r[0] = 1
+ * @param {Float32Array|Array} arr - The signal
+ * @param {number} maxLag - Largest lag to return
+ * @returns {Float64Array} r[0..maxLag]
+ */
+export function autocorrelation(arr, maxLag) {
+  const n = arr.length;
+  const lags = Math.min(maxLag, n - 1) + 1;
+  const size = nextPowerOfTwo(2 * n);
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  const m = mean(arr);
+  for (let i = 0; i < n; i++) re[i] = arr[i] - m;
+
+  // Wiener–Khinchin: inverse transform of the power spectrum (zero-padded, so not circular)
+  fft(re, im);
+  for (let k = 0; k < size; k++) {
+    re[k] = re[k] * re[k] + im[k] * im[k];
+    im[k] = 0;
+  }
+  fft(re, im, true);
+
+  const result = new Float64Array(Math.max(lags, 0));
+  for (let lag = 0; lag < lags; lag++) {
+    result[lag] = re[0] > 0 ? re[lag] / re[0] : 0;
+  }
+  return result;
+}
+
+/**
+ * Offset (-0.5..0.5) of the true maximum from the middle of three samples,
+ * fitting a parabola through them
+ */
+export function parabolicPeakOffset(left, center, right) {
+  const denominator = left - 2 * center + right;
+  if (denominator === 0) return 0;
+  return Math.max(-0.5, Math.min(0.5, 0.5 * (left - right) / denominator));
+}
+
+/**
+ * Periodic Hann window
+ */
+export function hannWindow(size) {
+  const window = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+  }
+  return window;
+}
+
+/**
+ * Short-time Fourier transform, streamed one frame at a time so long
+ * recordings never hold the full spectrogram in memory.
+ * Frame j starts at sample j * hopSize (Hann-windowed, zero-padded past the end).
+ * @param {Float32Array|Array} arr - The signal
+ * @param {number} frameSize - Samples per frame (power of two)
+ * @param {number} hopSize - Samples between frame starts
+ * @param {Function} onFrame - (frameIndex, magnitudes) for bins 0..frameSize/2;
+ *   the magnitudes buffer is reused between calls
+ * @returns {number} Number of frames
+ */
+export function stft(arr, frameSize, hopSize, onFrame) {
+  const n = arr.length;
+  const window = hannWindow(frameSize);
+  const re = new Float64Array(frameSize);
+  const im = new Float64Array(frameSize);
+  const magnitudes = new Float64Array(frameSize / 2 + 1);
+  const frameCount = Math.max(Math.ceil(n / hopSize), 1);
+
+  const fillFrame = (target, frame) => {
+    const start = frame * hopSize;
+    for (let i = 0; i < frameSize; i++) {
+      target[i] = frame < frameCount && start + i < n ? arr[start + i] * window[i] : 0;
     }
   };
+
+  // Frames are real, so two are transformed at once (one as the real part,
+  // one as the imaginary part) and separated by conjugate symmetry
+  for (let frame = 0; frame < frameCount; frame += 2) {
+    fillFrame(re, frame);
+    fillFrame(im, frame + 1);
+    fft(re, im);
+
+    for (let k = 0; k < magnitudes.length; k++) {
+      const m = (frameSize - k) % frameSize;
+      const aRe = re[k] + re[m];
+      const aIm = im[k] - im[m];
+      magnitudes[k] = 0.5 * Math.sqrt(aRe * aRe + aIm * aIm);
+    }
+    onFrame(frame, magnitudes);
+
+    if (frame + 1 < frameCount) {
+      for (let k = 0; k < magnitudes.length; k++) {
+        const m = (frameSize - k) % frameSize;
+        const bRe = im[k] + im[m];
+        const bIm = re[k] - re[m];
+        magnitudes[k] = 0.5 * Math.sqrt(bRe * bRe + bIm * bIm);
+      }
+      onFrame(frame + 1, magnitudes);
+    }
+  }
+
+  return frameCount;
+}
+
+/**
+ * Spectral flux onset function: summed positive magnitude change per bin
+ * between consecutive STFT frames
+ * @returns {Float32Array} One value per frame
+ */
+export function spectralFlux(arr, frameSize, hopSize) {
+  const flux = new Float32Array(Math.max(Math.ceil(arr.length / hopSize), 1));
+  const previous = new Float64Array(frameSize / 2 + 1);
+
+  stft(arr, frameSize, hopSize, (frame, magnitudes) => {
+    let sum = 0;
+    for (let k = 0; k < magnitudes.length; k++) {
+      const rise = magnitudes[k] - previous[k];
+      if (rise > 0) sum += rise;
+      previous[k] = magnitudes[k];
+    }
+    flux[frame] = frame === 0 ? 0 : sum;
+  });
+
+  return flux;
+}
+
+/**
+ * High-frequency content onset function: bin-weighted spectral energy per
+ * STFT frame (Masri), which emphasizes broadband transients over tonal noise
+ * @returns {Float32Array} One value per frame
+ */
+export function highFrequencyContent(arr, frameSize, hopSize) {
+  const hfc = new Float32Array(Math.max(Math.ceil(arr.length / hopSize), 1));
+
+  stft(arr, frameSize, hopSize, (frame, magnitudes) => {
+    let sum = 0;
+    for (let k = 1; k < magnitudes.length; k++) {
+      sum += k * magnitudes[k] * magnitudes[k];
+    }
+    hfc[frame] = sum;
+  });
+
+  return hfc;
+}
+
+/**
+ * Spectrogram in dB with a bounded number of time columns. Frames overlap by
+ * half so every sample is analyzed; on long signals consecutive frames are
+ * max-pooled into one column, so short transients stay visible.
+ * @param {Float32Array|Array} arr - The signal
+ * @param {number} frameSize - Samples per frame (power of two)
+ * @param {number} maxColumns - Most time columns returned
+ * @returns {Object} {db: Float32Array (binCount rows of columnCount, one row per
+ *   frequency bin), binCount, columnCount, centers: Float64Array (sample at the
+ *   middle of each column's frames), maxDb}
+ */
+export function pooledSpectrogram(arr, frameSize, maxColumns) {
+  const hopSize = frameSize / 2;
+  const binCount = frameSize / 2 + 1;
+  const frameCount = Math.max(Math.ceil(arr.length / hopSize), 1);
+  const framesPerColumn = Math.ceil(frameCount / maxColumns);
+  const columnCount = Math.ceil(frameCount / framesPerColumn);
+
+  // Loudest magnitude per bin across each column's frames
+  const db = new Float32Array(binCount * columnCount);
+  stft(arr, frameSize, hopSize, (frame, magnitudes) => {
+    const column = Math.floor(frame / framesPerColumn);
+    for (let k = 0; k < binCount; k++) {
+      const i = k * columnCount + column;
+      if (magnitudes[k] > db[i]) db[i] = magnitudes[k];
+    }
+  });
+
+  let maxDb = -Infinity;
+  for (let i = 0; i < db.length; i++) {
+    db[i] = 20 * Math.log10(db[i] + 1e-10);
+    if (db[i] > maxDb) maxDb = db[i];
+  }
+
+  const centers = new Float64Array(columnCount);
+  for (let j = 0; j < columnCount; j++) {
+    const first = j * framesPerColumn;
+    const last = Math.min(first + framesPerColumn, frameCount) - 1;
+    centers[j] = (first * hopSize + last * hopSize + frameSize) / 2;
+  }
+
+  return { db, binCount, columnCount, centers, maxDb };
+}
+
+/**
+ * Magnitude of the analytic signal (Hilbert envelope), as abs(scipy.signal.hilbert(x)).
+ * Long signals are processed in overlapping blocks so memory stays bounded;
+ * the overlap absorbs the edge effects of each block's transform.
+ * @param {Float32Array|Array} arr - The signal
+ * @param {number} blockSize - Samples kept per block (power of two)
+ * @param {number} overlap - Extra samples transformed on each side of a block
+ */
+export function hilbertEnvelope(arr, blockSize = 65536, overlap = 4096) {
+  const n = arr.length;
+  const result = new Float32Array(n);
+  const fftSize = n <= blockSize + 2 * overlap ? nextPowerOfTwo(n) : nextPowerOfTwo(blockSize + 2 * overlap);
+  const re = new Float64Array(fftSize);
+  const im = new Float64Array(fftSize);
+
+  const step = n <= fftSize ? n : fftSize - 2 * overlap;
+  for (let start = 0; start < n; start += step) {
+    // Transform [from, from + fftSize) and keep [start, start + step)
+    const from = Math.max(0, Math.min(start - overlap, n - fftSize));
+    const to = Math.min(from + fftSize, n);
+
+    re.fill(0);
+    im.fill(0);
+    for (let i = from; i < to; i++) re[i - from] = arr[i];
+
+    fft(re, im);
+    // Analytic signal: keep DC and Nyquist, double positive, zero negative frequencies
+    for (let k = 1; k < fftSize / 2; k++) {
+      re[k] *= 2;
+      im[k] *= 2;
+    }
+    for (let k = fftSize / 2 + 1; k < fftSize; k++) {
+      re[k] = 0;
+      im[k] = 0;
+    }
+    fft(re, im, true);
+
+    const end = Math.min(start + step, n);
+    for (let i = start; i < end; i++) {
+      const k = i - from;
+      result[i] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Transient signal-to-noise ratio in dB: how far the loudest blocks stand
+ * above the typical block. Each block is reduced to its peak |x|; the score
+ * compares the 99th percentile of those peaks with their median (the floor).
+ * @param {Float32Array} arr - Samples
+ * @param {number} blockSize - Samples per block (≈10ms works well for gunfire)
+ */
+export function transientSNR(arr, blockSize) {
+  const blockCount = Math.ceil(arr.length / blockSize);
+  if (blockCount === 0) return 0;
+
+  const peaks = new Float32Array(blockCount);
+  for (let b = 0; b < blockCount; b++) {
+    const end = Math.min((b + 1) * blockSize, arr.length);
+    let peak = 0;
+    for (let i = b * blockSize; i < end; i++) {
+      const value = Math.abs(arr[i]);
+      if (value > peak) peak = value;
+    }
+    peaks[b] = peak;
+  }
+
+  peaks.sort();
+  const floor = percentileOfSorted(peaks, 50);
+  const loud = percentileOfSorted(peaks, 99);
+  if (loud === 0) return 0;
+  // Digital silence between shots is treated as a -120 dBFS floor
+  return 20 * Math.log10(loud / Math.max(floor, 1e-6));
 }
 
 /**
@@ -1,27 +1,151 @@
 /**
  * Visualization Engine
- * Single-chart Plotly.js waveform with overlaid peak markers and burst regions
+ * Single-chart Plotly.js waveform with overlaid peak markers and burst regions,
+ * and an optional spectrogram panel below it
  */
 
 import Plotly from 'plotly.js-dist-min';
 import * as signal from './signal-processing.js';
 
+// Height of each per-channel shot row, as a fraction of the plot
+const CHANNEL_ROW_HEIGHT = 0.06;
+const CHANNEL_COLORS = ['#52C77C', '#85C1E2', '#F7DC6F', '#FF6B6B'];
+
+// Most points drawn for the waveform trace, whole recording or zoomed in
+const WAVEFORM_MAX_POINTS = 8000;
+
+// Spectrogram dynamic range shown below the loudest bin (dB)
+const SPECTROGRAM_DB_RANGE = 80;
+// Extra chart height for the spectrogram panel (px)
+const SPECTROGRAM_HEIGHT = 200;
+
+const BURST_COLORS = [
+  '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8',
+  '#F7DC6F', '#BB8FCE', '#85C1E2', '#F8B739', '#52C77C',
+];
+// Bursts excluded from the statistics
+const EXCLUDED_COLOR = '#808080';
+
+/**
+ * Color of a burst, shared by the chart and the burst cards
+ * @param {number} index - 0-based burst index
+ */
+export function getBurstColor(index) {
+  return BURST_COLORS[index % BURST_COLORS.length];
+}
+
+// Shared styling of the interval charts' axes
+const AXIS_STYLE = {
+  showgrid: true,
+  gridcolor: 'rgba(75, 144, 255, 0.1)',
+  zeroline: false,
+  tickfont: { color: 'rgba(255, 255, 255, 0.8)' }
+};
+
+/**
+ * Overlaid per-recording distributions for the recording comparison: interval
+ * histogram and instantaneous RPM histogram, each normalized to percent so
+ * recordings with different shot counts compare directly
+ * @param {Array<Object>} entries - From createComparisonEntry(), colored by position
+ * @param {HTMLElement} histogramElement - Interval histogram
+ * @param {HTMLElement} rateElement - RPM distribution
+ */
+export function renderComparisonCharts(entries, histogramElement, rateElement) {
+  const config = { responsive: true, displayModeBar: false, displaylogo: false, scrollZoom: false };
+  const layout = (xTitle, shapes) => ({
+    paper_bgcolor: 'rgba(0,0,0,0)',
+    plot_bgcolor: 'rgba(0,0,0,0)',
+    autosize: true,
+    height: 300,
+    margin: { l: 55, r: 20, t: 20, b: 50 },
+    barmode: 'overlay',
+    showlegend: true,
+    legend: { orientation: 'h', yanchor: 'bottom', y: 1.02, font: { color: '#ffffff' } },
+    shapes,
+    xaxis: { ...AXIS_STYLE, title: { text: xTitle, font: { color: '#ffffff' } } },
+    yaxis: { ...AXIS_STYLE, title: { text: '% of Intervals', font: { color: '#ffffff' } } },
+  });
+
+  // One set of bins for every recording, so the bars line up
+  const sharedBins = (values) => {
+    const all = values.flat();
+    if (all.length === 0) return undefined;
+    const lo = signal.min(all);
+    const hi = signal.max(all);
+    const size = hi > lo ? (hi - lo) / 30 : 1;
+    return { start: lo - size / 2, end: hi + size / 2, size };
+  };
+
+  const overlay = (values, unit, format) => {
+    const xbins = sharedBins(values);
+    return entries.map((entry, i) => ({
+      x: values[i],
+      type: 'histogram',
+      histnorm: 'percent',
+      xbins,
+      name: entry.notes || entry.inputFile,
+      opacity: 0.55,
+      marker: { color: getBurstColor(i), line: { color: getBurstColor(i), width: 1 } },
+      hovertemplate: `%{fullData.name}<br>%{x${format}} ${unit}<br>%{y:.1f}%<extra></extra>`,
+    }));
+  };
+
+  // Each recording's average rate, dashed in its color
+  const averageLines = entries.map((entry, i) => ({
+    type: 'line', xref: 'x', yref: 'paper', y0: 0, y1: 1,
+    x0: entry.summary.meanBurstRateRpm, x1: entry.summary.meanBurstRateRpm,
+    line: { color: getBurstColor(i), width: 2, dash: 'dash' },
+  }));
+
+  return Promise.all([
+    Plotly.newPlot(histogramElement, overlay(entries.map(e => e.intervalsMs), 'ms', ':.2f'), layout('Interval (ms)', []), config),
+    Plotly.newPlot(rateElement, overlay(entries.map(e => e.instantRpm), 'RPM', ':.0f'), layout('Instantaneous RPM', averageLines), config),
+  ]);
+}
+
 export class ROFVisualizer {
-  constructor(plotElement) {
+  /**
+   * @param {HTMLElement} plotElement - Waveform chart
+   * @param {Object} intervalElements - Optional interval charts
+   * @param {HTMLElement} intervalElements.rateElement - Instantaneous RPM by shot number
+   * @param {HTMLElement} intervalElements.histogramElement - Interval histogram
+   */
+  constructor(plotElement, { rateElement = null, histogramElement = null } = {}) {
     this.plotDiv = plotElement;
+    this.rateDiv = rateElement;
+    this.histogramDiv = histogramElement;
+    this.waveformCache = null;
+    this.spectrogramCache = null;
+    // Audio the waveform trace is redrawn from on zoom
+    this.zoomAudio = null;
+    this.showSpectrogram = false;
+    this.onTimeClick = null;
+    this.onRegionSelect = null;
+    // Audio playback position (s), null when not playing
+    this.playheadTime = null;
+    this.playheadShapeIndex = null;
+    this.playheadPending = false;
   }
 
   /**
-   * Render single waveform chart with peak dots and burst region shapes
+   * Render the waveform chart with peak dots and burst region shapes, and the
+   * spectrogram panel when enabled
    */
   render(detector, results) {
     const sampleRate = detector.sampleRate;
     const audioDuration = results.audioDuration;
 
-    // Downsample waveform for performance
-    const maxPoints = 8000;
-    const timeArray = this.createTimeArray(detector.audioData.length, sampleRate);
-    const waveform = this.downsample(detector.audioData, timeArray, maxPoints);
+    const waveform = this.getWaveform(detector, results);
+    // Keep the user's zoom across re-renders (shot edits, re-analysis)
+    const zoomedRange = this.plotDiv.layout?.xaxis?.autorange === false ? this.plotDiv.layout.xaxis.range.slice() : null;
+    this.zoomAudio = detector.audioData
+      ? { data: detector.audioData, sampleRate, offset: detector.audioOffset || 0 }
+      : null;
+    // Needs decoded audio, so imported sessions never show it; computed in
+    // the analysis worker and stored with setSpectrogram() before rendering
+    const spectrogram = this.showSpectrogram && detector.audioData ? this.getSpectrogram(detector) : null;
+    // Waveform panel's share of the plot height when the spectrogram is below it
+    const waveformBottom = spectrogram ? 0.45 : 0;
 
     const traces = [];
 
@@ -49,7 +173,11 @@ export class ROFVisualizer {
     // ── Trace 2: Peak Dots on Waveform ─────────────────────────
     if (results.peaks && results.peaks.length > 0) {
       const peakTimes = results.peaks.map((idx) => idx / sampleRate);
-      const peakAmplitudes = results.peaks.map((idx) => detector.audioData[idx]);
+      // Peaks are source-file sample indices; the loaded audio may start later
+      const origin = Math.round((detector.audioOffset || 0) * sampleRate);
+      const peakAmplitudes = detector.audioData
+        ? results.peaks.map((idx) => detector.audioData[idx - origin])
+        : peakTimes.map((t) => this.sampleWaveformAt(waveform, t));
 
       traces.push({
         x: peakTimes,
@@ -77,14 +205,121 @@ export class ROFVisualizer {
       });
     }
 
+    // ── Traces 3-4: Envelope and Detection Threshold ───────────
+    // Drawn on a secondary axis: the envelope's scale depends on its method
+    const curve = results.thresholdCurve;
+    if (curve && curve.time.length > 0) {
+      traces.push({
+        x: curve.time,
+        y: curve.envelope,
+        type: 'scatter',
+        mode: 'lines',
+        name: 'Envelope',
+        yaxis: 'y2',
+        line: { color: 'rgba(255, 255, 255, 0.35)', width: 1 },
+        hovertemplate: 'Time: %{x:.3f}s<br>Envelope: %{y:.4f}<extra></extra>',
+      });
+      traces.push({
+        x: curve.time,
+        y: curve.threshold,
+        type: 'scatter',
+        mode: 'lines',
+        name: 'Threshold',
+        yaxis: 'y2',
+        line: { color: '#F8B739', width: 1.5, dash: 'dash' },
+        hovertemplate: 'Time: %{x:.3f}s<br>Threshold: %{y:.4f}<extra></extra>',
+      });
+    }
+
+    // ── Anomaly Markers ────────────────────────────────────────
+    // Rings where a shot seems missed, crosses on suspected double triggers
+    const anomalies = (results.bursts || []).flatMap(b => b.anomalies || []);
+    const anomalyTraces = [
+      { type: 'missed', name: 'Possible Missed Shot', color: '#F8B739', symbol: 'circle-open' },
+      { type: 'double', name: 'Possible Double Trigger', color: '#BB8FCE', symbol: 'x-open' },
+    ];
+    for (const { type, name, color, symbol } of anomalyTraces) {
+      const times = anomalies.filter(a => a.type === type).map(a => a.suggestedFix.time);
+      if (times.length === 0) continue;
+
+      traces.push({
+        x: times,
+        y: times.map((t) => this.sampleWaveformAt(waveform, t)),
+        type: 'scatter',
+        mode: 'markers',
+        name,
+        marker: { color, size: 16, symbol, line: { color, width: 2 } },
+        hovertemplate: `${name} at %{x:.3f}s<extra></extra>`,
+      });
+    }
+
+    // ── Per-Channel Shot Rows ──────────────────────────────────
+    // With channel comparison on, each channel's own detections are drawn as
+    // a row of ticks along the top so microphones can be compared shot by shot
+    const channelShots = results.channelShots || [];
+    channelShots.forEach((entry, i) => {
+      const color = CHANNEL_COLORS[i % CHANNEL_COLORS.length];
+      const rowY = 1 - (i + 0.5) * CHANNEL_ROW_HEIGHT;
+
+      traces.push({
+        x: entry.shotTimes,
+        y: entry.shotTimes.map(() => rowY),
+        type: 'scatter',
+        mode: 'markers',
+        name: `Channel ${entry.channel}: ${entry.shotTimes.length} shots, SNR ${entry.snrDb.toFixed(1)} dB`,
+        yaxis: 'y3',
+        marker: { color, size: 12, symbol: 'line-ns-open', line: { color, width: 2 } },
+        hovertemplate: `Channel ${entry.channel} shot at %{x:.3f}s<extra></extra>`,
+      });
+    });
+
+    // ── Spectrogram Panel ──────────────────────────────────────
+    // Heatmap on its own axis below the waveform, sharing the time axis, with
+    // the detected shots drawn across it as one null-separated line trace
+    if (spectrogram) {
+      traces.push({
+        x: spectrogram.time,
+        y: spectrogram.frequency,
+        z: spectrogram.db,
+        type: 'heatmap',
+        name: 'Spectrogram',
+        yaxis: 'y4',
+        colorscale: 'Viridis',
+        zmin: spectrogram.maxDb - SPECTROGRAM_DB_RANGE,
+        zmax: spectrogram.maxDb,
+        showscale: false,
+        showlegend: false,
+        hovertemplate: 'Time: %{x:.3f}s<br>Frequency: %{y:.1f} kHz<br>Level: %{z:.1f} dB<extra></extra>',
+      });
+
+      const shotTimes = detector.shotTimes || [];
+      const topFrequency = spectrogram.frequency[spectrogram.frequency.length - 1];
+      traces.push({
+        x: shotTimes.flatMap(t => [t, t, null]),
+        y: shotTimes.flatMap(() => [0, topFrequency, null]),
+        type: 'scatter',
+        mode: 'lines',
+        name: 'Shots (Spectrogram)',
+        yaxis: 'y4',
+        line: { color: 'rgba(249, 83, 53, 0.8)', width: 1 },
+        hoverinfo: 'skip',
+        showlegend: false,
+      });
+    }
+
     // ── Burst Regions via Plotly Shapes ─────────────────────────
     const shapes = [];
+    const annotations = [];
     if (detector.bursts && detector.bursts.length > 0) {
       const colors = this.generateColors(detector.bursts.length);
 
       detector.bursts.forEach((burst, i) => {
         const burstData = results.bursts[i];
+        // Bursts excluded from the statistics are drawn grey
+        const color = burstData.excluded ? EXCLUDED_COLOR : colors[i];
         shapes.push({
+          // Shape names tell the report export what each shape is
+          name: `B${burstData.burstNumber}`,
           type: 'rect',
           xref: 'x',
           yref: 'paper',
@@ -92,16 +327,71 @@ export class ROFVisualizer {
           x1: burstData.endTime,
           y0: 0,
           y1: 1,
-          fillcolor: colors[i] + '25',
-          line: { color: colors[i], width: 1, dash: 'dot' },
+          fillcolor: color + '25',
+          line: { color, width: 1, dash: 'dot' },
           layer: 'below',
         });
+
+        if (burstData.label) {
+          annotations.push({
+            x: (burstData.startTime + burstData.endTime) / 2,
+            y: waveformBottom,
+            xref: 'x',
+            yref: 'paper',
+            yanchor: 'bottom',
+            text: burstData.label,
+            showarrow: false,
+            font: { color, size: 11 },
+          });
+        }
       });
     }
 
+    // ── Region of Interest ─────────────────────────────────────
+    // Grey out loaded audio that lies outside the analyzed region
+    const region = results.region;
+    if (region && waveform.time.length > 0) {
+      const loadedStart = waveform.time[0];
+      const loadedEnd = waveform.time[waveform.time.length - 1];
+      const excluded = [[loadedStart, region.start], [region.end, loadedEnd]];
+      for (const [x0, x1] of excluded) {
+        if (x1 - x0 <= 0) continue;
+        shapes.push({
+          name: 'region',
+          type: 'rect',
+          xref: 'x',
+          yref: 'paper',
+          x0,
+          x1,
+          y0: 0,
+          y1: 1,
+          fillcolor: 'rgba(0, 0, 0, 0.45)',
+          line: { width: 0 },
+          layer: 'above',
+        });
+      }
+    }
+
+    // ── Playback Playhead ──────────────────────────────────────
+    // Always present so setPlayhead() can move it without a full re-render
+    this.playheadShapeIndex = shapes.length;
+    shapes.push({
+      name: 'playhead',
+      type: 'line',
+      xref: 'x',
+      yref: 'paper',
+      x0: this.playheadTime ?? 0,
+      x1: this.playheadTime ?? 0,
+      y0: 0,
+      y1: 1,
+      line: { color: '#FFFFFF', width: 2 },
+      visible: this.playheadTime !== null,
+      layer: 'above',
+    });
+
     // ── Layout ─────────────────────────────────────────────────
-    const audioMin = signal.min(detector.audioData);
-    const audioMax = signal.max(detector.audioData);
+    const audioMin = signal.min(detector.audioData || waveform.data);
+    const audioMax = signal.max(detector.audioData || waveform.data);
 
     const layout = {
       showlegend: true,
@@ -114,7 +404,11 @@ export class ROFVisualizer {
         font: { color: '#ffffff' }
       },
       hovermode: 'closest',
+      // Drag selects a time range while region selection is armed
+      dragmode: this.onRegionSelect ? 'select' : 'zoom',
+      selectdirection: 'h',
       shapes,
+      annotations,
       paper_bgcolor: 'rgba(0,0,0,0)',
       plot_bgcolor: 'rgba(0,0,0,0)',
       xaxis: {
@@ -126,6 +420,7 @@ export class ROFVisualizer {
       },
       yaxis: {
         title: { text: 'Amplitude', font: { color: '#ffffff' } },
+        domain: [waveformBottom, 1],
         showgrid: true,
         gridcolor: 'rgba(75, 144, 255, 0.1)',
         zeroline: true,
@@ -139,6 +434,44 @@ export class ROFVisualizer {
       margin: { l: 55, r: 20, t: 20, b: 80 },
     };
 
+    if (curve && curve.time.length > 0) {
+      const envelopeMax = Math.max(signal.max(curve.envelope), signal.max(curve.threshold));
+      const zeroAlignment = audioMax > 0 ? audioMin / audioMax : -1;
+      layout.yaxis2 = {
+        title: { text: 'Envelope', font: { color: '#ffffff' } },
+        overlaying: 'y',
+        side: 'right',
+        showgrid: false,
+        zeroline: false,
+        fixedrange: true,
+        // Align the envelope's zero with the waveform's zero line
+        range: [envelopeMax * 1.1 * zeroAlignment, envelopeMax * 1.1],
+        tickfont: { color: 'rgba(255, 255, 255, 0.8)' }
+      };
+      layout.margin.r = 60;
+    }
+
+    if (spectrogram) {
+      layout.yaxis4 = {
+        title: { text: 'Frequency (kHz)', font: { color: '#ffffff' } },
+        domain: [0, waveformBottom - 0.07],
+        showgrid: false,
+        zeroline: false,
+        fixedrange: true,
+        tickfont: { color: 'rgba(255, 255, 255, 0.8)' }
+      };
+      // Time ticks under the spectrogram, the bottom panel
+      layout.xaxis.anchor = 'y4';
+      layout.height += SPECTROGRAM_HEIGHT;
+    }
+
+    if (zoomedRange) layout.xaxis.range = zoomedRange;
+
+    if (channelShots.length > 0) {
+      // Hidden 0–1 axis the channel rows are positioned on
+      layout.yaxis3 = { overlaying: 'y', range: [0, 1], visible: false, fixedrange: true };
+    }
+
     const config = {
       responsive: true,
       displayModeBar: false, // Hide toolbar
@@ -155,7 +488,105 @@ export class ROFVisualizer {
     };
 
     // Return promise so we can chain if needed
-    return Plotly.newPlot(this.plotDiv, traces, layout, config);
+    return Promise.all([
+      Plotly.newPlot(this.plotDiv, traces, layout, config).then(() => {
+        this.bindEvents();
+        if (zoomedRange) return this.onRelayout({ 'xaxis.range': zoomedRange });
+      }),
+      this.renderIntervalCharts(results),
+    ]);
+  }
+
+  /**
+   * Instantaneous RPM (60 / interval) against shot number, one line per burst,
+   * and a histogram of every interval with its median and ±1σ marked.
+   * Excluded bursts are drawn grey on the RPM chart and left out of the histogram.
+   */
+  renderIntervalCharts(results) {
+    const bursts = results.bursts || [];
+    const pending = [];
+    const config = { responsive: true, displayModeBar: false, displaylogo: false, scrollZoom: false };
+    const baseLayout = {
+      paper_bgcolor: 'rgba(0,0,0,0)',
+      plot_bgcolor: 'rgba(0,0,0,0)',
+      autosize: true,
+      height: 256,
+      margin: { l: 55, r: 20, t: 20, b: 50 },
+    };
+
+    if (this.rateDiv) {
+      const traces = bursts.map((burst, i) => {
+        const rpm = [];
+        for (let k = 1; k < burst.shotTimes.length; k++) {
+          rpm.push(60 / (burst.shotTimes[k] - burst.shotTimes[k - 1]));
+        }
+        const color = burst.excluded ? EXCLUDED_COLOR : getBurstColor(i);
+        return {
+          // Each interval is plotted at the shot that ends it
+          x: rpm.map((_, k) => k + 2),
+          y: rpm,
+          type: 'scatter',
+          mode: 'lines+markers',
+          name: `Burst ${burst.burstNumber}` + (burst.label ? ` – ${burst.label}` : ''),
+          line: { color, width: 1.5 },
+          marker: { color, size: 5 },
+          hovertemplate: `Burst ${burst.burstNumber}, shot %{x}<br>%{y:.0f} RPM<extra></extra>`,
+        };
+      });
+
+      pending.push(Plotly.newPlot(this.rateDiv, traces, {
+        ...baseLayout,
+        showlegend: bursts.length > 1,
+        legend: { font: { color: '#ffffff' } },
+        hovermode: 'closest',
+        xaxis: { ...AXIS_STYLE, title: { text: 'Shot #', font: { color: '#ffffff' } }, dtick: 1, tick0: 0 },
+        yaxis: { ...AXIS_STYLE, title: { text: 'RPM', font: { color: '#ffffff' } } },
+      }, config));
+    }
+
+    if (this.histogramDiv) {
+      const intervalsMs = bursts.filter(b => !b.excluded).flatMap(burst =>
+        Array.from(signal.diff(burst.shotTimes), interval => interval * 1000));
+
+      const shapes = [];
+      const annotations = [];
+      if (intervalsMs.length > 0) {
+        const median = signal.median(intervalsMs);
+        const sigma = signal.std(intervalsMs);
+        // ±1σ band around the median, then the median line on top
+        shapes.push({
+          type: 'rect', xref: 'x', yref: 'paper', x0: median - sigma, x1: median + sigma, y0: 0, y1: 1,
+          fillcolor: 'rgba(248, 183, 57, 0.15)', line: { color: '#F8B739', width: 1, dash: 'dash' }, layer: 'below',
+        });
+        shapes.push({
+          type: 'line', xref: 'x', yref: 'paper', x0: median, x1: median, y0: 0, y1: 1,
+          line: { color: '#F8B739', width: 2 },
+        });
+        annotations.push({
+          x: median, y: 1, xref: 'x', yref: 'paper', yanchor: 'bottom', showarrow: false,
+          text: `Median ${median.toFixed(2)} ms, σ ${sigma.toFixed(2)} ms`,
+          font: { color: '#F8B739', size: 11 },
+        });
+      }
+
+      pending.push(Plotly.newPlot(this.histogramDiv, [{
+        x: intervalsMs,
+        type: 'histogram',
+        name: 'Intervals',
+        marker: { color: 'rgba(75, 144, 255, 0.7)', line: { color: '#4B90FF', width: 1 } },
+        hovertemplate: '%{x} ms<br>%{y} intervals<extra></extra>',
+      }], {
+        ...baseLayout,
+        showlegend: false,
+        bargap: 0.05,
+        shapes,
+        annotations,
+        xaxis: { ...AXIS_STYLE, title: { text: 'Interval (ms)', font: { color: '#ffffff' } } },
+        yaxis: { ...AXIS_STYLE, title: { text: 'Count', font: { color: '#ffffff' } } },
+      }, config));
+    }
+
+    return Promise.all(pending);
   }
 
   /**
@@ -163,8 +594,76 @@ export class ROFVisualizer {
    * @param {Function} onTimeClick - Callback(timeInSeconds)
    */
   setupInteractions(onTimeClick) {
+    this.onTimeClick = onTimeClick;
+    this.bindEvents();
+  }
+
+  /**
+   * Arm or disarm region selection: while armed, dragging across the chart
+   * selects a time range instead of zooming
+   * @param {Function|null} onRegionSelect - Callback(startTime, endTime), or null to disarm
+   */
+  setRegionSelect(onRegionSelect) {
+    this.onRegionSelect = onRegionSelect;
+    if (this.plotDiv && this.plotDiv.layout) {
+      Plotly.relayout(this.plotDiv, { dragmode: onRegionSelect ? 'select' : 'zoom' });
+    }
+  }
+
+  /**
+   * Zoom the time axis to a range; the waveform is redrawn for it
+   */
+  zoomToRange(start, end) {
+    if (!this.plotDiv.layout) return Promise.resolve();
+    return Plotly.relayout(this.plotDiv, { 'xaxis.range': [start, end] });
+  }
+
+  /**
+   * Zoom back out to the whole recording
+   */
+  resetZoom() {
+    if (!this.plotDiv.layout) return Promise.resolve();
+    return Plotly.relayout(this.plotDiv, { 'xaxis.autorange': true });
+  }
+
+  /**
+   * Move the playback playhead
+   * @param {number|null} time - Position in seconds, or null to hide it
+   */
+  setPlayhead(time) {
+    this.playheadTime = time;
+    if (this.playheadPending || !this.plotDiv.layout || this.playheadShapeIndex === null) return;
+
+    // One relayout at a time; the latest position is drawn once it finishes
+    const shape = `shapes[${this.playheadShapeIndex}]`;
+    this.playheadPending = true;
+    Plotly.relayout(this.plotDiv, {
+      [`${shape}.visible`]: time !== null,
+      [`${shape}.x0`]: time ?? 0,
+      [`${shape}.x1`]: time ?? 0,
+    }).finally(() => {
+      this.playheadPending = false;
+      const drawn = this.plotDiv.layout?.shapes?.[this.playheadShapeIndex];
+      if (drawn && (drawn.visible ? drawn.x0 : null) !== this.playheadTime) this.setPlayhead(this.playheadTime);
+    });
+  }
+
+  /**
+   * Attach Plotly event handlers. Plotly.newPlot drops every listener, so
+   * this runs again after each render.
+   */
+  bindEvents() {
     if (!this.plotDiv || typeof this.plotDiv.on !== 'function') return;
 
+    this.plotDiv.on('plotly_relayout', (event) => this.onRelayout(event));
+
+    this.plotDiv.on('plotly_selected', (data) => {
+      // Also fires with no data when a selection is cleared
+      const range = data?.range?.x;
+      if (!range || !this.onRegionSelect) return;
+      this.onRegionSelect(Math.min(...range), Math.max(...range));
+    });
+
     // Use Plotly's event system
     this.plotDiv.on('plotly_click', (data) => {
       // If no points clicked, we might still want the x-coordinate of the click
@@ -176,55 +675,162 @@ export class ROFVisualizer {
       const point = data.points[0];
       const time = point.x;
 
-      if (typeof time === 'number' && onTimeClick) {
-        onTimeClick(time);
+      if (typeof time === 'number' && this.onTimeClick) {
+        this.onTimeClick(time);
       }
     });
   }
 
   /**
-   * Create a time array for data
+   * Downsampled waveform for plotting. Falls back to the preview stored in
+   * the results (imported sessions have no decoded audio).
+   * @returns {Object} {time: Array<number>, data: Array<number>}
+   */
+  getWaveform(detector, results) {
+    if (!detector.audioData) {
+      return results.waveform || { time: [], data: [] };
+    }
+
+    // Re-renders of the same audio (edits, re-analysis) reuse the last downsample
+    const offset = detector.audioOffset || 0;
+    if (this.waveformCache && this.waveformCache.source === detector.audioData && this.waveformCache.offset === offset) {
+      return this.waveformCache.waveform;
+    }
+
+    // Downsample waveform for performance
+    const waveform = this.downsample(detector.audioData, detector.sampleRate, offset, WAVEFORM_MAX_POINTS);
+    this.waveformCache = { source: detector.audioData, offset, waveform };
+    return waveform;
+  }
+
+  /**
+   * Store a spectrogram computed by the analysis worker for the detector's
+   * current audio, in the shape the heatmap trace takes
+   * @param {RateOfFireDetector} detector - Detector whose audioData it was computed from
+   * @param {Object} data - {db, binCount, columnCount, centers, maxDb, frameSize, sampleRate}
+   *   from AnalysisWorkerClient.spectrogram()
+   */
+  setSpectrogram(detector, data) {
+    const offset = detector.audioOffset || 0;
+    const { db, binCount, columnCount, centers, frameSize, sampleRate } = data;
+
+    const spectrogram = {
+      time: Array.from(centers, center => offset + center / sampleRate),
+      frequency: Array.from({ length: binCount }, (_, k) => (k * sampleRate) / frameSize / 1000),
+      // Plotly wants z as rows of frequency bins
+      db: Array.from({ length: binCount }, (_, k) => Array.from(db.subarray(k * columnCount, (k + 1) * columnCount))),
+      maxDb: data.maxDb,
+    };
+    this.spectrogramCache = { source: detector.audioData, offset, spectrogram };
+  }
+
+  /**
+   * The stored spectrogram, or null when none matches the detector's audio
+   * @returns {Object|null} {time: Array<number>, frequency: Array<number> (kHz),
+   *   db: Array<Array<number>> (one row per frequency), maxDb}
+   */
+  getSpectrogram(detector) {
+    const cache = this.spectrogramCache;
+    if (!cache || cache.source !== detector.audioData || cache.offset !== (detector.audioOffset || 0)) return null;
+    return cache.spectrogram;
+  }
+
+  /**
+   * Amplitude of the downsampled waveform closest to a given time
    */
-  createTimeArray(length, sampleRate) {
-    const times = new Float32Array(length);
-    for (let i = 0; i < length; i++) {
-      times[i] = i / sampleRate;
+  sampleWaveformAt(waveform, time) {
+    const times = waveform.time;
+    if (times.length === 0) return 0;
+
+    // Binary search for the first point at or after `time`
+    let lo = 0;
+    let hi = times.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] < time) lo = mid + 1;
+      else hi = mid;
     }
-    return times;
+    if (lo > 0 && time - times[lo - 1] < times[lo] - time) lo--;
+    return waveform.data[lo];
   }
 
   /**
-   * Downsample data for performance
+   * Redraw the waveform trace for the zoomed time range: its own min/max
+   * buckets, which become every sample once the range is short enough.
+   * Zooming back out restores the whole-recording downsample.
    */
-  downsample(data, timeArray, maxPoints) {
-    if (data.length <= maxPoints) {
-      return { data: Array.from(data), time: Array.from(timeArray) };
+  onRelayout(event) {
+    const audio = this.zoomAudio;
+    if (!audio || !this.waveformCache) return;
+
+    let waveform;
+    if (event['xaxis.autorange']) {
+      waveform = this.waveformCache.waveform;
+    } else {
+      const range = event['xaxis.range'] || [event['xaxis.range[0]'], event['xaxis.range[1]']];
+      // Other relayouts (playhead, drag mode) leave the time axis alone
+      if (range[0] === undefined || range[1] === undefined) return;
+
+      const toIndex = (time) => Math.round((time - audio.offset) * audio.sampleRate);
+      const start = Math.max(toIndex(Math.min(range[0], range[1])), 0);
+      const end = Math.min(toIndex(Math.max(range[0], range[1])) + 1, audio.data.length);
+      if (end <= start) return;
+      waveform = this.downsample(audio.data, audio.sampleRate, audio.offset, WAVEFORM_MAX_POINTS, start, end);
     }
 
-    const step = Math.floor(data.length / maxPoints);
-    const downsampled = [];
-    const downsampledTime = [];
+    // The waveform is always the first trace
+    return Plotly.restyle(this.plotDiv, { x: [waveform.time], y: [waveform.data] }, [0]);
+  }
+
+  /**
+   * Peak-preserving decimation: the minimum and maximum of each bucket, in
+   * time order, so narrow transients stay visible however long the recording
+   * @param {Float32Array} data - Samples
+   * @param {number} sampleRate
+   * @param {number} offset - Time (s) of data[0]
+   * @param {number} maxPoints - At most this many points are returned
+   * @param {number} start - First sample to include
+   * @param {number} end - Sample after the last to include
+   * @returns {Object} {time: Array<number>, data: Array<number>}
+   */
+  downsample(data, sampleRate, offset, maxPoints, start = 0, end = data.length) {
+    const time = [];
+    const values = [];
+    const push = (i) => {
+      time.push(offset + i / sampleRate);
+      values.push(data[i]);
+    };
 
-    for (let i = 0; i < data.length; i += step) {
-      downsampled.push(data[i]);
-      downsampledTime.push(timeArray[i]);
+    if (end - start <= maxPoints) {
+      for (let i = start; i < end; i++) push(i);
+      return { data: values, time };
     }
 
-    return { data: downsampled, time: downsampledTime };
+    const bucketCount = Math.floor(maxPoints / 2);
+    const bucketSize = (end - start) / bucketCount;
+    for (let b = 0; b < bucketCount; b++) {
+      const from = start + Math.floor(b * bucketSize);
+      const to = Math.min(start + Math.floor((b + 1) * bucketSize), end);
+      let minIdx = from;
+      let maxIdx = from;
+      for (let i = from + 1; i < to; i++) {
+        if (data[i] < data[minIdx]) minIdx = i;
+        else if (data[i] > data[maxIdx]) maxIdx = i;
+      }
+      push(Math.min(minIdx, maxIdx));
+      if (maxIdx !== minIdx) push(Math.max(minIdx, maxIdx));
+    }
+
+    return { data: values, time };
   }
 
   /**
    * Generate distinct colors for bursts
    */
   generateColors(count) {
-    const baseColors = [
-      '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8',
-      '#F7DC6F', '#BB8FCE', '#85C1E2', '#F8B739', '#52C77C',
-    ];
-
     const colors = [];
     for (let i = 0; i < count; i++) {
-      colors.push(baseColors[i % baseColors.length]);
+      colors.push(getBurstColor(i));
     }
 
     return colors;
@@ -261,7 +867,14 @@ export class ROFVisualizer {
    * Reset/Purge chart
    */
   reset() {
+    this.waveformCache = null;
+    this.spectrogramCache = null;
+    this.zoomAudio = null;
+    this.playheadTime = null;
+    this.playheadShapeIndex = null;
     Plotly.purge(this.plotDiv);
+    if (this.rateDiv) Plotly.purge(this.rateDiv);
+    if (this.histogramDiv) Plotly.purge(this.histogramDiv);
   }
 
   /**
@@ -269,5 +882,7 @@ export class ROFVisualizer {
    */
   resize() {
     Plotly.Plots.resize(this.plotDiv);
+    if (this.rateDiv) Plotly.Plots.resize(this.rateDiv);
+    if (this.histogramDiv) Plotly.Plots.resize(this.histogramDiv);
   }
 }
@@ -0,0 +1,154 @@
+/**
+ * WAV Decoder
+ * Minimal RIFF/WAVE parser so the detector can run without the Web Audio API
+ * (Node scripts, tests, batch processing)
+ */
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+}
+
+function toDataView(input) {
+  if (input instanceof ArrayBuffer) return new DataView(input);
+  if (ArrayBuffer.isView(input)) return new DataView(input.buffer, input.byteOffset, input.byteLength);
+  throw new Error('decodeWav expects an ArrayBuffer or typed array');
+}
+
+/**
+ * Build a sample reader for one interleaved sample, normalized to [-1, 1]
+ */
+function createSampleReader(view, format, bitsPerSample) {
+  if (format === WAVE_FORMAT_IEEE_FLOAT) {
+    if (bitsPerSample === 32) return (offset) => view.getFloat32(offset, true);
+    if (bitsPerSample === 64) return (offset) => view.getFloat64(offset, true);
+    throw new Error(`Unsupported float WAV bit depth: ${bitsPerSample}`);
+  }
+
+  switch (bitsPerSample) {
+    case 8:
+      // 8-bit PCM is unsigned
+      return (offset) => (view.getUint8(offset) - 128) / 128;
+    case 16:
+      return (offset) => view.getInt16(offset, true) / 32768;
+    case 24:
+      return (offset) => {
+        let value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+        if (value & 0x800000) value -= 0x1000000;
+        return value / 8388608;
+      };
+    case 32:
+      return (offset) => view.getInt32(offset, true) / 2147483648;
+    default:
+      throw new Error(`Unsupported PCM WAV bit depth: ${bitsPerSample}`);
+  }
+}
+
+/**
+ * Decode a PCM (8/16/24/32-bit integer) or IEEE float (32/64-bit) WAV file
+ * @param {ArrayBuffer|Uint8Array} input - Raw file contents
+ * @returns {Object} {sampleRate, numChannels, bitsPerSample, duration, channelData: Array<Float32Array>}
+ */
+export function decodeWav(input) {
+  const view = toDataView(input);
+
+  if (view.byteLength < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let fmt = null;
+  let dataOffset = -1;
+  let dataLength = 0;
+
+  // Walk the chunk list; chunks are word-aligned
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = readTag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      let format = view.getUint16(body, true);
+      const bitsPerSample = view.getUint16(body + 14, true);
+      if (format === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+        // The real format code is the first two bytes of the SubFormat GUID
+        format = view.getUint16(body + 24, true);
+      }
+      fmt = {
+        format,
+        numChannels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample
+      };
+    } else if (id === 'data') {
+      dataOffset = body;
+      // Tolerate streamed/truncated files whose header length overruns the buffer
+      dataLength = Math.min(size, view.byteLength - body);
+      break;
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  if (!fmt) throw new Error('WAV file has no fmt chunk');
+  if (dataOffset < 0) throw new Error('WAV file has no data chunk');
+  if (fmt.format !== WAVE_FORMAT_PCM && fmt.format !== WAVE_FORMAT_IEEE_FLOAT) {
+    throw new Error(`Unsupported WAV format code: 0x${fmt.format.toString(16)}`);
+  }
+
+  const { numChannels, sampleRate, bitsPerSample } = fmt;
+  const bytesPerSample = bitsPerSample / 8;
+  const blockAlign = fmt.blockAlign || numChannels * bytesPerSample;
+  const frameCount = Math.floor(dataLength / blockAlign);
+  const readSample = createSampleReader(view, fmt.format, bitsPerSample);
+
+  const channelData = [];
+  for (let ch = 0; ch < numChannels; ch++) {
+    channelData.push(new Float32Array(frameCount));
+  }
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const frameOffset = dataOffset + frame * blockAlign;
+    for (let ch = 0; ch < numChannels; ch++) {
+      channelData[ch][frame] = readSample(frameOffset + ch * bytesPerSample);
+    }
+  }
+
+  return {
+    sampleRate,
+    numChannels,
+    bitsPerSample,
+    duration: frameCount / sampleRate,
+    channelData
+  };
+}
+
+/**
+ * Average all channels into one (same as FFmpeg's -ac 1 downmix)
+ * @param {Array<Float32Array>} channelData
+ * @returns {Float32Array}
+ */
+export function mixToMono(channelData) {
+  if (channelData.length === 1) return channelData[0];
+
+  const length = channelData[0].length;
+  const result = new Float32Array(length);
+  for (const channel of channelData) {
+    for (let i = 0; i < length; i++) {
+      result[i] += channel[i];
+    }
+  }
+  for (let i = 0; i < length; i++) {
+    result[i] /= channelData.length;
+  }
+  return result;
+}
@@ -12,9 +12,9 @@
             </svg>
         </div>
         <div class="f3ds-rof-dropzone-text">Drop a media file here or click to browse</div>
-        <div class="f3ds-rof-dropzone-subtext">Supports video and audio files</div>
+        <div class="f3ds-rof-dropzone-subtext">Supports video and audio files, or a saved session (.json); drop several to compare them</div>
     </div>
-    <input type="file" id="f3ds-rof-file-input" accept="video/*,audio/*" style="display:none;">
+    <input type="file" id="f3ds-rof-file-input" accept="video/*,audio/*,.json,application/json" multiple style="display:none;">
 
     <!-- Analysis Settings -->
     <div class="f3ds-rof-controls" id="f3ds-rof-controls">
@@ -25,18 +25,60 @@
         </div>
         <div class="f3ds-rof-controls-content" id="f3ds-rof-controls-content">
             <div class="f3ds-rof-controls-inner">
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-detection-mode">Detection Mode <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Signal shots are picked from.<br>Onset modes separate
+                                very fast or echoey fire that merges in the envelope.</span></span></label>
+                    <select id="f3ds-rof-detection-mode">
+                        <option value="envelope" selected>Envelope peaks</option>
+                        <option value="flux">Spectral flux onsets</option>
+                        <option value="hfc">High-frequency content</option>
+                    </select>
+                </div>
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-threshold-mode">Threshold Mode <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Global uses the whole file.<br>Rolling modes follow
+                                loud and quiet sections separately.</span></span></label>
+                    <select id="f3ds-rof-threshold-mode">
+                        <option value="global" selected>Global (mean + std)</option>
+                        <option value="median">Rolling median + MAD</option>
+                        <option value="percentile">Rolling percentile</option>
+                    </select>
+                </div>
                 <div class="f3ds-rof-control-group">
                     <label for="f3ds-rof-peak-threshold">Peak Threshold <span class="f3ds-tooltip-icon">?<span
-                                class="f3ds-tooltip-content">Standard deviations above mean level.<br>Lower = more
-                                sensitive.</span></span></label>
+                                class="f3ds-tooltip-content">Standard deviations above mean level (MADs above the
+                                median in rolling median mode).<br>Lower = more sensitive.</span></span></label>
                     <input type="number" id="f3ds-rof-peak-threshold" value="1.2" step="0.1" min="0.1" max="5">
                 </div>
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-threshold-window">Threshold Window (s) <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Length of the rolling threshold window.<br>Rolling modes
+                                only.</span></span></label>
+                    <input type="number" id="f3ds-rof-threshold-window" value="1" step="0.1" min="0.1" max="30">
+                </div>
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-threshold-percentile">Threshold Percentile <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Envelope percentile used as the threshold.<br>Rolling
+                                percentile mode only.</span></span></label>
+                    <input type="number" id="f3ds-rof-threshold-percentile" value="95" step="1" min="50" max="99.9">
+                </div>
                 <div class="f3ds-rof-control-group">
                     <label for="f3ds-rof-min-shot-spacing">Min Shot Spacing (s) <span class="f3ds-tooltip-icon">?<span
                                 class="f3ds-tooltip-content">Minimum time between shots.<br>0.05s = max ~1200
                                 RPM.</span></span></label>
                     <input type="number" id="f3ds-rof-min-shot-spacing" value="0.05" step="0.01" min="0.01" max="1">
                 </div>
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-timing-mode">Shot Timing <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Where in each peak the shot time is taken.<br>Onset uses
+                                the leading edge of the report.</span></span></label>
+                    <select id="f3ds-rof-timing-mode">
+                        <option value="peak" selected>Peak sample</option>
+                        <option value="interpolated">Interpolated peak</option>
+                        <option value="onset">Onset (leading edge)</option>
+                    </select>
+                </div>
                 <div class="f3ds-rof-control-group">
                     <label for="f3ds-rof-burst-gap">Burst Gap Threshold (s) <span class="f3ds-tooltip-icon">?<span
                                 class="f3ds-tooltip-content">Max gap allowed within a single
@@ -49,6 +91,41 @@
                                 transients.</span></span></label>
                     <input type="number" id="f3ds-rof-window-size" value="0.002" step="0.001" min="0.001" max="0.01">
                 </div>
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-filter-type">Pre-Filter <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Filter applied before the envelope.<br>High-pass removes
+                                wind, band-pass isolates the muzzle report.</span></span></label>
+                    <select id="f3ds-rof-filter-type">
+                        <option value="none" selected>None</option>
+                        <option value="highpass">High-pass</option>
+                        <option value="lowpass">Low-pass</option>
+                        <option value="bandpass">Band-pass</option>
+                        <option value="notch">Notch</option>
+                    </select>
+                </div>
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-filter-frequency">Filter Frequency (Hz) <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Cutoff (high/low-pass) or center (band-pass/notch)
+                                frequency.</span></span></label>
+                    <input type="number" id="f3ds-rof-filter-frequency" value="1000" step="100" min="20" max="20000">
+                </div>
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-filter-q">Filter Q <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Filter sharpness.<br>Higher = narrower band-pass or
+                                notch.</span></span></label>
+                    <input type="number" id="f3ds-rof-filter-q" value="0.707" step="0.1" min="0.1" max="20">
+                </div>
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-envelope-method">Envelope <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Shape of the loudness curve peaks are found in.<br>Try
+                                Hilbert or RMS for suppressed or reverberant recordings.</span></span></label>
+                    <select id="f3ds-rof-envelope-method">
+                        <option value="rectified" selected>Rectified</option>
+                        <option value="hilbert">Hilbert</option>
+                        <option value="rms">RMS</option>
+                        <option value="energy">Energy</option>
+                    </select>
+                </div>
                 <div class="f3ds-rof-control-group">
                     <label for="f3ds-rof-min-prominence">Min Peak Prominence <span class="f3ds-tooltip-icon">?<span
                                 class="f3ds-tooltip-content">Relative height required for a peak.<br>Higher = sharper
@@ -62,6 +139,50 @@
                                 burst.</span></span></label>
                     <input type="number" id="f3ds-rof-min-burst-count" value="5" step="1" min="1" max="50">
                 </div>
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-rate-mismatch">RPM Mismatch Warning (%) <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Warn when a burst's shot-count RPM and its
+                                autocorrelation cycle RPM differ by more than this.</span></span></label>
+                    <input type="number" id="f3ds-rof-rate-mismatch" value="5" step="1" min="1" max="50">
+                </div>
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-channel">Channel <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Which channel of a stereo or multi-mic recording to analyze.
+                                Best picks the channel whose shots stand out most from the background.</span></span></label>
+                    <select id="f3ds-rof-channel">
+                        <option value="mix" selected>Mix (all channels)</option>
+                        <option value="best">Best (transient SNR)</option>
+                        <option value="1">Channel 1</option>
+                        <option value="2">Channel 2</option>
+                    </select>
+                </div>
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-compare-channels">Compare Channels <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Also detect shots on every channel separately and show each
+                                channel's shots as a row on the chart.</span></span></label>
+                    <select id="f3ds-rof-compare-channels">
+                        <option value="off" selected>Off</option>
+                        <option value="on">On</option>
+                    </select>
+                </div>
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-region-start">Region Start (s) <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Ignore everything before this time (setup chatter, range
+                                commands). Set before loading a long file to decode only the region.</span></span></label>
+                    <input type="number" id="f3ds-rof-region-start" value="" placeholder="0" step="0.1" min="0">
+                </div>
+                <div class="f3ds-rof-control-group">
+                    <label for="f3ds-rof-region-end">Region End (s) <span class="f3ds-tooltip-icon">?<span
+                                class="f3ds-tooltip-content">Ignore everything after this time. Leave empty to analyze to
+                                the end of the recording.</span></span></label>
+                    <input type="number" id="f3ds-rof-region-end" value="" placeholder="End" step="0.1" min="0">
+                </div>
+            </div>
+            <div class="f3ds-rof-autotune">
+                <button type="button" class="f3ds-rof-autotune-btn" id="f3ds-rof-autotune" disabled>Auto-tune</button>
+                <span class="f3ds-rof-autotune-hint">Sweeps window, threshold and prominence on the loaded recording and
+                    proposes the most consistent settings.</span>
+                <div class="f3ds-rof-autotune-result" id="f3ds-rof-autotune-result"></div>
             </div>
         </div>
     </div>
@@ -77,6 +198,10 @@
     <div class="f3ds-rof-loading" id="f3ds-rof-loading">
         <div class="f3ds-rof-spinner"></div>
         <div id="f3ds-rof-loading-text">Loading FFmpeg&hellip;</div>
+        <div class="f3ds-rof-progress">
+            <div class="f3ds-rof-progress-bar" id="f3ds-rof-progress-bar"></div>
+        </div>
+        <button type="button" class="f3ds-rof-cancel-btn" id="f3ds-rof-cancel">Cancel</button>
     </div>
 
     <!-- Error -->
@@ -89,7 +214,38 @@
 
         <div class="f3ds-rof-visualization">
             <h3 style="text-align: center;">Rate of Fire Analysis</h3>
+            <div class="f3ds-rof-chart-tools">
+                <span class="f3ds-rof-edit-count" id="f3ds-rof-edit-count">No edits</span>
+                <button type="button" class="f3ds-rof-chart-tool-btn" id="f3ds-rof-undo" title="Undo (Ctrl+Z)" disabled>Undo</button>
+                <button type="button" class="f3ds-rof-chart-tool-btn" id="f3ds-rof-redo" title="Redo (Ctrl+Shift+Z)" disabled>Redo</button>
+                <button type="button" class="f3ds-rof-chart-tool-btn" id="f3ds-rof-reset-edits" disabled>Reset to Auto-detected</button>
+                <button type="button" class="f3ds-rof-chart-tool-btn" id="f3ds-rof-spectrogram" title="Show a spectrogram panel below the waveform">Spectrogram</button>
+                <button type="button" class="f3ds-rof-chart-tool-btn" id="f3ds-rof-select-region">Select Region</button>
+                <button type="button" class="f3ds-rof-chart-tool-btn" id="f3ds-rof-clear-region">Clear Region</button>
+            </div>
+            <div class="f3ds-rof-chart-tools">
+                <button type="button" class="f3ds-rof-chart-tool-btn" id="f3ds-rof-play" disabled>Play</button>
+                <select class="f3ds-rof-chart-tool-select" id="f3ds-rof-playback-burst" title="Play the whole recording or one burst" disabled>
+                    <option value="">All Audio</option>
+                </select>
+                <button type="button" class="f3ds-rof-chart-tool-btn" id="f3ds-rof-playback-loop">Loop</button>
+                <select class="f3ds-rof-chart-tool-select" id="f3ds-rof-playback-rate" title="Playback speed">
+                    <option value="1">1×</option>
+                    <option value="0.5">0.5×</option>
+                    <option value="0.25">0.25×</option>
+                </select>
+            </div>
             <div id="f3ds-rof-chart"></div>
+            <div class="f3ds-rof-interval-charts">
+                <div class="f3ds-rof-interval-chart">
+                    <h4>Instantaneous Rate</h4>
+                    <div id="f3ds-rof-rate-chart"></div>
+                </div>
+                <div class="f3ds-rof-interval-chart">
+                    <h4>Interval Distribution</h4>
+                    <div id="f3ds-rof-interval-histogram"></div>
+                </div>
+            </div>
         </div>
 
         <div class="f3ds-rof-bursts" id="f3ds-rof-bursts"></div>
@@ -98,8 +254,36 @@
         <div class="f3ds-rof-download-buttons">
             <button class="f3ds-rof-download-btn" id="f3ds-rof-export-jpg">Export Report (PNG)</button>
             <button class="f3ds-rof-download-btn" id="f3ds-rof-export-pdf">Export Report (PDF)</button>
+            <button class="f3ds-rof-download-btn" id="f3ds-rof-export-json">Export Session (JSON)</button>
+        </div>
+        <div class="f3ds-rof-download-buttons">
+            <button class="f3ds-rof-download-btn" id="f3ds-rof-export-shots-csv">Export Shots (CSV)</button>
+            <button class="f3ds-rof-download-btn" id="f3ds-rof-export-bursts-csv">Export Bursts (CSV)</button>
+            <button class="f3ds-rof-download-btn" id="f3ds-rof-add-comparison">Add to Comparison</button>
         </div>
 
     </div>
 
+    <!-- Recording Comparison -->
+    <div class="f3ds-rof-comparison" id="f3ds-rof-comparison">
+        <h3>Recording Comparison</h3>
+        <div class="f3ds-rof-comparison-table-wrap">
+            <table class="f3ds-rof-shot-table f3ds-rof-comparison-table" id="f3ds-rof-comparison-table"></table>
+        </div>
+        <div class="f3ds-rof-interval-charts">
+            <div class="f3ds-rof-interval-chart">
+                <h4>Interval Distribution</h4>
+                <div id="f3ds-rof-comparison-histogram"></div>
+            </div>
+            <div class="f3ds-rof-interval-chart">
+                <h4>RPM Distribution</h4>
+                <div id="f3ds-rof-comparison-rate"></div>
+            </div>
+        </div>
+        <div class="f3ds-rof-download-buttons">
+            <button class="f3ds-rof-download-btn" id="f3ds-rof-export-comparison-pdf">Export Comparison (PDF)</button>
+            <button class="f3ds-rof-download-btn" id="f3ds-rof-clear-comparison">Clear Comparison</button>
+        </div>
+    </div>
+
 </div>
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * Exported CSV tables
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildShotTable } from '../src/csv.js';
+
+describe('buildShotTable', () => {
+  const shotTimes = [0, 0.1, 0.2, 1, 1.1, 2, 2.1];
+  const bursts = [
+    { burstNumber: 1, shotTimes: [0, 0.1, 0.2] },
+    { burstNumber: 2, shotTimes: [1, 1.1] },
+  ];
+  const { rows } = buildShotTable(shotTimes, bursts);
+
+  it('gives the interval and RPM within a burst', () => {
+    assert.deepEqual(rows[1], [2, '0.100000', 1, '100.000', '600.0']);
+    assert.deepEqual(rows[4], [5, '1.100000', 2, '100.000', '600.0']);
+  });
+
+  it('leaves them blank across bursts and outside any burst', () => {
+    assert.deepEqual(rows[0].slice(3), ['', '']);
+    assert.deepEqual(rows[3].slice(3), ['', '']);
+    assert.deepEqual(rows[5], [6, '2.000000', '', '', '']);
+    assert.deepEqual(rows[6], [7, '2.100000', '', '', '']);
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Undo/redo stacks
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EditHistory } from '../src/edit-history.js';
+
+describe('EditHistory.rebase', () => {
+  // Snapshots of a shot edit (s) and burst edit (b) history
+  const state = (shots, bursts) => ({ shots, bursts });
+  const dropShots = (snapshot) => ({ ...snapshot, shots: 'new' });
+  const sameBursts = (a, b) => a.bursts === b.bursts;
+
+  it('keeps the steps that still change something and squashes the rest', () => {
+    const history = new EditHistory();
+    history.record(state('s0', 'b0'));
+    history.record(state('s1', 'b0'));
+    history.record(state('s1', 'b1'));
+    history.record(state('s2', 'b1'));
+    // Undo the last edit so there is a redo step as well
+    const undone = history.undo(state('s3', 'b2'));
+    history.rebase(dropShots(undone), dropShots, sameBursts);
+
+    assert.deepEqual(history.undoStack, [state('new', 'b0')]);
+    assert.deepEqual(history.redoStack, [state('new', 'b2')]);
+    assert.deepEqual(history.undo(state('new', 'b1')), state('new', 'b0'));
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * findPeaks() against scipy.signal.find_peaks reference results
+ * (regenerate with test/fixtures/generate-find-peaks.py)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { findPeaks, peakProminences } from '../src/signal-processing.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/find-peaks.json', import.meta.url), 'utf8'));
+
+const TOLERANCE = 1e-9;
+
+function assertClose(actual, expected, label) {
+  assert.equal(actual.length, expected.length, `${label}: length`);
+  expected.forEach((value, i) => {
+    assert.ok(Math.abs(actual[i] - value) <= TOLERANCE, `${label}[${i}]: ${actual[i]} !== ${value}`);
+  });
+}
+
+describe('findPeaks matches scipy', () => {
+  for (const { name, data, options, peaks, properties } of fixtures) {
+    it(name, () => {
+      const result = findPeaks(Float64Array.from(data), options);
+
+      assert.deepEqual(result.peaks, peaks);
+      assert.deepEqual(Object.keys(result.properties).sort(), Object.keys(properties).sort());
+      for (const [key, expected] of Object.entries(properties)) {
+        assertClose(result.properties[key], expected, key);
+      }
+    });
+  }
+});
+
+describe('findPeaks options', () => {
+  it('rejects a distance below 1', () => {
+    assert.throws(() => findPeaks([0, 1, 0], { distance: 0 }), /distance/);
+  });
+
+  it('rejects a wlen of 1 or less', () => {
+    assert.throws(() => findPeaks([0, 1, 0], { prominence: 0, wlen: 1 }), /wlen/);
+  });
+});
+
+/**
+ * Rising sawtooth: every fourth sample is a small local maximum, and nothing
+ * to its left is higher, so a sample-by-sample base search would walk back to
+ * the start from every peak (quadratic overall)
+ */
+function risingSawtooth(length) {
+  return Array.from({ length }, (_, i) => i + (i % 4 === 1 ? 3 : 0));
+}
+
+/**
+ * Samples of `data` read by peakProminences, per peak, beyond the one pass
+ * that builds the block index. Gives up (Infinity) past `limit` per peak, so
+ * a quadratic search fails quickly instead of running for minutes.
+ */
+function readsPerPeak(data, limit = 1000) {
+  const { peaks } = findPeaks(data);
+  const budget = data.length + limit * peaks.length;
+  let reads = 0;
+  const counted = new Proxy(data, {
+    get(target, key, receiver) {
+      if (typeof key === 'string' && key !== 'length' && ++reads > budget) throw new RangeError('read budget exceeded');
+      return Reflect.get(target, key, receiver);
+    }
+  });
+
+  try {
+    peakProminences(counted, peaks);
+  } catch (err) {
+    if (err instanceof RangeError) return Infinity;
+    throw err;
+  }
+  return (reads - data.length) / peaks.length;
+}
+
+describe('peakProminences base search', () => {
+  it('reads a bounded number of samples per peak', () => {
+    const small = readsPerPeak(risingSawtooth(1 << 12));
+    const large = readsPerPeak(risingSawtooth(1 << 16));
+    // Walking sample by sample would read about n / 2 per peak here
+    assert.ok(large < 200, `${large} samples read per peak`);
+    assert.ok(large <= small * 1.5, `${small} per peak at 4096 samples, ${large} at 65536`);
+  });
+});
@@ -0,0 +1,84 @@
+"""
+Regenerate find-peaks.json, the scipy.signal.find_peaks reference results
+that test/find-peaks.test.js compares findPeaks() against.
+
+    pip install numpy scipy
+    python test/fixtures/generate-find-peaks.py
+"""
+
+import json
+import os
+
+import numpy as np
+from scipy.signal import find_peaks
+
+rng = np.random.default_rng(20240611)
+
+
+def noise(n, smoothing=0.6):
+    """Smoothed uniform noise with plenty of local maxima of varied shape"""
+    x = rng.random(n)
+    for i in range(1, n):
+        x[i] = (1 - smoothing) * x[i] + smoothing * x[i - 1]
+    return np.round(x, 6)
+
+
+def bursts(n=600):
+    """Decaying shot-like pulses on a noise floor"""
+    x = rng.random(n) * 0.05
+    for start in range(20, n - 40, 47):
+        x[start:start + 30] += np.exp(-np.arange(30) / 6.0) * (0.6 + 0.4 * rng.random())
+    return np.round(x, 6)
+
+
+plateaus = [0, 1, 1, 0, 2, 2, 2, 1, 3, 3, 3, 3, 0, 1, 0, 4, 4, 4, 4, 4, 2, 2, 5, 0, 5, 5, 1]
+
+CASES = [
+    ('plateaus', plateaus, {'plateau_size': 1}),
+    ('plateau size interval', plateaus, {'plateau_size': (2, 4)}),
+    ('height and threshold', noise(300), {'height': 0.5, 'threshold': (0.01, None)}),
+    ('distance', noise(400), {'height': 0, 'distance': 7}),
+    ('fractional distance', noise(400), {'distance': 4.5}),
+    ('distance with plateaus', plateaus, {'distance': 3, 'plateau_size': 1}),
+    ('prominence', noise(400), {'prominence': 0.05}),
+    ('prominence interval with wlen', noise(400), {'prominence': (0.02, 0.2), 'wlen': 21}),
+    ('prominence with even wlen', bursts(), {'prominence': 0.1, 'wlen': 40}),
+    ('bases', noise(200), {'prominence': 0}),
+    ('bases on bursts', bursts(), {'prominence': 0}),
+    ('width', noise(400), {'width': 3}),
+    ('width at rel_height', bursts(), {'width': (2, 20), 'rel_height': 0.8}),
+    ('width with wlen', bursts(), {'width': 1, 'wlen': 15, 'rel_height': 1}),
+    ('all conditions', bursts(), {
+        'height': 0.1, 'threshold': 0, 'distance': 10, 'prominence': 0.2,
+        'width': 2, 'wlen': 60, 'plateau_size': 1,
+    }),
+]
+
+
+def camel(name):
+    head, *rest = name.split('_')
+    return head + ''.join(part.title() for part in rest)
+
+
+def to_json(value):
+    if isinstance(value, tuple):
+        return list(value)
+    return value
+
+
+fixtures = []
+for name, data, kwargs in CASES:
+    data = np.asarray(data, dtype=float)
+    peaks, properties = find_peaks(data, **kwargs)
+    fixtures.append({
+        'name': name,
+        'data': data.tolist(),
+        'options': {camel(key): to_json(value) for key, value in kwargs.items()},
+        'peaks': peaks.tolist(),
+        'properties': {camel(key): value.tolist() for key, value in properties.items()},
+    })
+
+path = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'find-peaks.json')
+with open(path, 'w') as f:
+    json.dump(fixtures, f, separators=(',', ':'))
+    f.write('\n')
@@ -0,0 +1,51 @@
+/**
+ * RateOfFireDetector stage memoization
+ */
+
+import { before, after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateOfFireDetector } from '../src/rof-detector.js';
+
+const SAMPLE_RATE = 22050;
+
+function clicks() {
+  const samples = new Float32Array(SAMPLE_RATE);
+  for (let shot = 0; shot < 10; shot++) {
+    const onset = Math.round((0.1 + shot * 0.075) * SAMPLE_RATE);
+    for (let i = 0; i < 100; i++) samples[onset + i] = Math.exp(-i / 20) * (i % 2 ? 1 : -1);
+  }
+  return samples;
+}
+
+describe('envelope stage', () => {
+  const log = console.log;
+  // The detector logs every stage
+  before(() => { console.log = () => { }; });
+  after(() => { console.log = log; });
+
+  for (const detectionMode of ['flux', 'hfc']) {
+    it(`is reused in ${detectionMode} mode when only the envelope method or window change`, () => {
+      const detector = new RateOfFireDetector({ detectionMode });
+      detector.analyzeSamples(clicks(), SAMPLE_RATE);
+      const envelope = detector.envelope;
+
+      detector.setParameters({ ...detector.getParameters(), envelopeMethod: 'rms', windowSize: 0.004 });
+      detector.runPipeline();
+      assert.equal(detector.envelope, envelope);
+
+      detector.setParameters({ ...detector.getParameters(), detectionMode: 'envelope' });
+      detector.runPipeline();
+      assert.notEqual(detector.envelope, envelope);
+    });
+  }
+
+  it('is recomputed in envelope mode when the window changes', () => {
+    const detector = new RateOfFireDetector({ detectionMode: 'envelope' });
+    detector.analyzeSamples(clicks(), SAMPLE_RATE);
+    const envelope = detector.envelope;
+
+    detector.setParameters({ ...detector.getParameters(), windowSize: 0.004 });
+    detector.runPipeline();
+    assert.notEqual(detector.envelope, envelope);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Headless analysis: synthetic WAV files decoded with decodeWav() and run
+ * through RateOfFireDetector.analyzeSamples(), no Web Audio involved
+ */
+
+import { before, after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeWav } from '../src/wav-decoder.js';
+import { RateOfFireDetector } from '../src/rof-detector.js';
+
+const SAMPLE_RATE = 22050;
+const RPM = 800;
+const SHOTS_PER_BURST = 10;
+const BURST_STARTS = [0.5, 2.0];
+const DURATION = 3.5;
+
+/**
+ * Two bursts of decaying noise clicks at RPM on a quiet noise floor
+ */
+function synthesizeShots() {
+  const samples = new Float32Array(Math.round(DURATION * SAMPLE_RATE));
+  let seed = 12345;
+  const noise = () => {
+    seed = (seed * 1103515245 + 12345) >>> 0;
+    return seed / 2147483648 - 1;
+  };
+
+  for (let i = 0; i < samples.length; i++) samples[i] = 0.01 * noise();
+  for (const start of BURST_STARTS) {
+    for (let shot = 0; shot < SHOTS_PER_BURST; shot++) {
+      const onset = Math.round((start + (shot * 60) / RPM) * SAMPLE_RATE);
+      for (let i = 0; i < 200; i++) samples[onset + i] += 0.8 * Math.exp(-i / 40) * noise();
+    }
+  }
+  return samples;
+}
+
+/**
+ * RIFF/WAVE file bytes for the given channels
+ * @param {Array<Float32Array>} channels - Samples in [-1, 1]
+ * @param {number} bitsPerSample - 16, 24 or 32
+ * @param {boolean} float - IEEE float instead of integer PCM (32-bit only)
+ */
+function encodeWav(channels, bitsPerSample, float = false) {
+  const bytesPerSample = bitsPerSample / 8;
+  const blockAlign = channels.length * bytesPerSample;
+  const dataLength = channels[0].length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataLength));
+  const writeTag = (offset, tag) => [...tag].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+  writeTag(0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, float ? 3 : 1, true);
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, SAMPLE_RATE, true);
+  view.setUint32(28, SAMPLE_RATE * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitsPerSample, true);
+  writeTag(36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  const scale = 2 ** (bitsPerSample - 1) - 1;
+  let offset = 44;
+  for (let i = 0; i < channels[0].length; i++) {
+    for (const channel of channels) {
+      const value = channel[i];
+      if (float) view.setFloat32(offset, value, true);
+      else if (bitsPerSample === 16) view.setInt16(offset, Math.round(value * scale), true);
+      else if (bitsPerSample === 32) view.setInt32(offset, Math.round(value * scale), true);
+      else {
+        const int = Math.round(value * scale);
+        view.setUint8(offset, int & 0xFF);
+        view.setUint8(offset + 1, (int >> 8) & 0xFF);
+        view.setUint8(offset + 2, (int >> 16) & 0xFF);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return new Uint8Array(view.buffer);
+}
+
+const FORMATS = [
+  ['16-bit PCM', 16, false],
+  ['24-bit PCM', 24, false],
+  ['32-bit PCM', 32, false],
+  ['32-bit float', 32, true],
+];
+
+describe('headless WAV analysis', () => {
+  const samples = synthesizeShots();
+  const log = console.log;
+  // The detector logs every stage
+  before(() => { console.log = () => { }; });
+  after(() => { console.log = log; });
+
+  for (const [label, bitsPerSample, float] of FORMATS) {
+    for (const channels of [[samples], [samples, samples.map(v => v * 0.5)]]) {
+      const layout = channels.length === 1 ? 'mono' : 'stereo';
+
+      it(`decodes and analyzes ${label} ${layout}`, () => {
+        const wav = decodeWav(encodeWav(channels, bitsPerSample, float));
+        assert.equal(wav.sampleRate, SAMPLE_RATE);
+        assert.equal(wav.numChannels, channels.length);
+        assert.equal(wav.bitsPerSample, bitsPerSample);
+        assert.equal(wav.channelData[0].length, samples.length);
+        // Quantization error of the coarsest format (16-bit)
+        assert.ok(Math.abs(wav.channelData[0][1000] - samples[1000]) < 1e-4);
+
+        const results = new RateOfFireDetector().analyzeSamples(wav.channelData, wav.sampleRate, { inputFile: 'synthetic.wav' });
+        assert.equal(results.summary.totalShots, SHOTS_PER_BURST * BURST_STARTS.length);
+        assert.equal(results.summary.totalBursts, BURST_STARTS.length);
+        for (const burst of results.bursts) {
+          assert.equal(burst.numShots, SHOTS_PER_BURST);
+          assert.ok(Math.abs(burst.rateRpm - RPM) < RPM * 0.01, `burst ${burst.burstNumber}: ${burst.rateRpm} RPM`);
+        }
+      });
+    }
+  }
+});